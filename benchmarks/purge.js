@@ -0,0 +1,67 @@
+const { performance } = require('perf_hooks');
+const CachedLookup = require('../index.js');
+
+// The number of cached values and the share of them which expire before the measured purge
+const ENTRIES = Number(process.argv[2]) || 1_000_000;
+const EXPIRING = Math.max(1, Math.floor(ENTRIES * (Number(process.argv[3]) || 0.001)));
+
+/**
+ * Purges the stale values of the provided lookup by walking its entire cache like the purge before the expiry index.
+ * @param {CachedLookup} lookup
+ * @param {number} now
+ * @returns {Promise<void>}
+ */
+async function full_scan_purge(lookup, now) {
+    let count = 0;
+    for (const [identifier, record] of lookup.cache.entries()) {
+        // Flush the event loop every max purge items per synchronous event loop tick
+        if (count % lookup.options.max_purge_eloop_tick === 0) await new Promise((resolve) => setTimeout(resolve, 0));
+        count++;
+
+        // Purge the cached value like the purge through the expiry index if it has aged past its purge time
+        const expiry_at = lookup._get_purge_at(record);
+        if (expiry_at === undefined || now <= expiry_at) continue;
+        lookup.emit('purge', record.value, ...lookup._parse_arguments(identifier));
+        await lookup.cache.delete(identifier);
+    }
+}
+
+/**
+ * Fills a new lookup with the benchmark entries where only the first `EXPIRING` entries expire soon.
+ * @returns {Promise<{lookup: CachedLookup, clock: InstanceType<typeof CachedLookup.ManualClock>}>}
+ */
+async function fill() {
+    const clock = new CachedLookup.ManualClock();
+    const lookup = new CachedLookup({ clock, purge_age_factor: 1 }, (id) => id);
+    for (let id = 0; id < ENTRIES; id++) await lookup.cached(id < EXPIRING ? 1000 : 3_600_000, id);
+    return { lookup, clock };
+}
+
+async function benchmark() {
+    console.log(`Purging ${EXPIRING.toLocaleString()} of ${ENTRIES.toLocaleString()} cached values...`);
+
+    // Measure the purge of the expired values through the expiry index
+    let { lookup, clock } = await fill();
+    let purged = 0;
+    lookup.on('purge', () => purged++);
+    let start = performance.now();
+    await clock.advance(1001);
+    const indexed = performance.now() - start;
+    console.log(`Expiry Index: ${indexed.toFixed(2)}ms (${purged.toLocaleString()} purged)`);
+    lookup.clear();
+
+    // Measure the purge of the expired values by walking the entire cache
+    ({ lookup, clock } = await fill());
+    start = performance.now();
+    purged = 0;
+    lookup.on('purge', () => purged++);
+    await full_scan_purge(lookup, clock.now() + 1001);
+    const scanned = performance.now() - start;
+    console.log(`Full Scan: ${scanned.toFixed(2)}ms (${purged.toLocaleString()} purged)`);
+    lookup.clear();
+
+    console.log(`Speedup: ${(scanned / indexed).toFixed(1)}x`);
+}
+
+// Usage: node benchmarks/purge.js [entries=1000000] [expiring share=0.001]
+benchmark();
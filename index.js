@@ -1,12 +1,45 @@
+const crypto = require('crypto');
 const EventEmitter = require('events');
+const keys = require('./src/keys.js');
+const { EvictionPolicy, estimate_size } = require('./src/eviction.js');
+const { is_thenable, chain, for_each, deep_freeze } = require('./src/utils.js');
+const { system_clock, ManualClock } = require('./src/clock.js');
+const serializer = require('./src/serializer.js');
+const FileStore = require('./src/stores/file.js');
+const TieredStore = require('./src/stores/tiered.js');
+const LookupResult = require('./src/result.js');
+const Batcher = require('./src/batcher.js');
+const Limiter = require('./src/limiter.js');
+const { Stats, format_prometheus } = require('./src/metrics.js');
+const BroadcastChannelTransport = require('./src/transports/broadcast_channel.js');
+const ClusterTransport = require('./src/transports/cluster.js');
+const ExpiryIndex = require('./src/expiry.js');
+const CachedLookupRegistry = require('./src/registry.js');
+const { HOOKS, MiddlewareChain } = require('./src/middleware.js');
+
+/**
+ * The numeric constructor options which can be overridden per-call with `CallOptions`.
+ */
+const NUMERIC_CALL_OPTIONS = ['stale_if_error', 'timeout', 'retries', 'retry_delay', 'retry_max_delay'];
+
+/**
+ * The modes of the `clone` option which protect cached values from being changed by callers.
+ */
+const CLONE_MODES = ['none', 'structured', 'freeze'];
 
 /**
  * The types of arguments that can be serialized on each call.
- * @typedef {boolean|number|string|null} SerializableArgumentTypes
+ * Plain objects are keyed by their sorted properties and values which JSON cannot represent are tagged with the built-in serializer.
+ * @typedef {boolean|number|string|null|undefined|bigint|Date|Object|Array} SerializableArgumentTypes
+ */
+
+/**
+ * @typedef {('purge' | 'fresh' | 'evict' | 'error' | 'stale' | 'retry' | 'expire' | 'queue' | 'dequeue')} CachedLookupEventTypes
  */
 
 /**
- * @typedef {('purge' | 'fresh')} CachedLookupEventTypes
+ * The reasons for which a cached value can be evicted from the cache.
+ * @typedef {('max_entries' | 'max_bytes')} EvictionReasonTypes
  */
 
 /**
@@ -20,17 +53,149 @@ const EventEmitter = require('events');
  * @template T
  */
 class CachedLookup extends EventEmitter {
-    #delimiter = ',';
     #cleanup = {
         timeout: null,
         expected_at: null,
+        purge_at: null,
     };
 
+    /**
+     * Indexes the purge time of each cached value so purges only visit the cached values which are due.
+     * @type {ExpiryIndex}
+     */
+    #expiries = new ExpiryIndex();
+
+    /**
+     * Indexes the expiry time of each cached failure so purges only visit the failures which are due.
+     * @type {ExpiryIndex}
+     */
+    #failure_expiries = new ExpiryIndex();
+
+    /**
+     * Tracks the cached values for eviction when the cache is bounded by `max_entries` or `max_bytes`.
+     * @type {EvictionPolicy=}
+     */
+    #eviction;
+
+    /**
+     * Stores the abort controller and the number of waiting callers of each in-flight lookup identified by the serialized arguments.
+     * The abort controller only exists if the lookup was started with a signal or `abortable` is enabled as nothing else can abort it.
+     * Lookups which were expired while `abortable` is disabled are marked as `expired` so their results are not cached.
+     * @type {Map<string, {controller?: AbortController, promise: Promise<T>, waiting: number, expired: boolean}>}
+     */
+    #flights = new Map();
+
+    /**
+     * Coalesces the cache misses into calls to the batch lookup function when batch mode is enabled.
+     * @type {Batcher=}
+     */
+    #batcher;
+
+    /**
+     * Stores the arguments, the per-call options, the last read and the next refresh of each cached value which is refreshed ahead of its expiry.
+     * @type {Map<string, {args: Array, options: CallOptions, read_at: number, refresh_at?: number}>}
+     */
+    #refreshes = new Map();
+
+    /**
+     * Indexes the next refresh time of each scheduled refresh so refreshes only visit the cached values which are due.
+     * @type {ExpiryIndex}
+     */
+    #refresh_index = new ExpiryIndex();
+
+    /**
+     * The number of background refreshes which are currently in-flight for the `refresh_ahead` mode.
+     * @type {number}
+     */
+    #refreshing = 0;
+
+    /**
+     * Limits the concurrency and rate of lookups when `max_concurrent` or `rate_limit` are provided.
+     * @type {Limiter=}
+     */
+    #limiter;
+
+    /**
+     * Tracks the counters and the lookup latency histogram returned by `stats()`.
+     * @type {Stats}
+     */
+    #stats;
+
+    /**
+     * The namespace, the unique origin and the unsubscribe function of this instance on the invalidation bus when `bus` is provided.
+     * @type {{transport: InvalidationTransport, namespace: string, origin: string, unsubscribe: function():void}=}
+     */
+    #bus;
+
+    /**
+     * The clock which provides the current time and schedules the timers of this instance.
+     * @type {Clock}
+     */
+    #clock;
+
+    /**
+     * The hooks of the middlewares added with `use()` which run around lookups, writes, hits and purges.
+     * @type {MiddlewareChain}
+     */
+    #middlewares = new MiddlewareChain();
+
+    /**
+     * Enforces the memory budget shared with the other instances of a registry after each write when one is set.
+     * @type {(function(string):(void|Promise<void>))=}
+     */
+    #budget;
+
+    /**
+     * Whether this instance has been shut down and no longer schedules any maintenance.
+     * @type {boolean}
+     */
+    #shut_down = false;
+
     /**
      * @typedef {Object} CachedRecord
      * @property {T} value
      * @property {number=} max_age
      * @property {number} updated_at
+     * @property {number=} stale_if_error
+     * @property {number=} ttl - The lifetime of the value decided by the lookup function.
+     * @property {number=} stale_ttl - The stale lifetime of the value after its `ttl` decided by the lookup function.
+     * @property {string[]=} tags - The tags of the value decided by the lookup function.
+     * @property {number=} duration - The number of milliseconds the lookup of the value took.
+     * @property {number=} jitter - The random factor by which the maximum age of the value is shortened when `ttl_jitter` is enabled.
+     */
+
+    /**
+     * The status of a value resolved by `cached_with_meta()` or `rolling_with_meta()`.
+     * - `hit`: The cached value is within its maximum age.
+     * - `stale`: The cached value has expired and was served by `rolling()` or within its stale window after a failed lookup.
+     * - `shared`: The value was resolved by joining a lookup which was already in-flight.
+     * - `miss`: The value was resolved by a fresh lookup.
+     * - `negative`: The `missing_value` was resolved from a cached missing value.
+     * @typedef {('hit' | 'stale' | 'shared' | 'miss' | 'negative')} CacheStatus
+     */
+
+    /**
+     * A value resolved with its cache metadata.
+     * @typedef {Object} CacheResult
+     * @property {T} value
+     * @property {CacheStatus} status
+     * @property {number} age - The age of the value in milliseconds.
+     * @property {number} updated_at - The timestamp in milliseconds of when the value was cached.
+     * @property {number=} max_age - The maximum age of the value in milliseconds which is the smaller of the requested `max_age` and its `ttl`.
+     */
+
+    /**
+     * Per-call options which can be provided in place of the `max_age` / `target_age` parameter.
+     * @typedef {Object} CallOptions
+     * @property {number} max_age - The maximum age (or target age for `rolling`) of the cached value in milliseconds.
+     * @property {number} [stale_if_error] - Overrides the `stale_if_error` constructor option for this call.
+     * @property {number} [timeout] - Overrides the `timeout` constructor option for this call.
+     * @property {number} [retries] - Overrides the `retries` constructor option for this call.
+     * @property {number} [retry_delay] - Overrides the `retry_delay` constructor option for this call.
+     * @property {number} [retry_max_delay] - Overrides the `retry_max_delay` constructor option for this call.
+     * @property {boolean} [retry_jitter] - Overrides the `retry_jitter` constructor option for this call.
+     * @property {AbortSignal} [signal] - Stops waiting for the value when aborted without affecting other callers waiting for the same in-flight lookup.
+     * @property {boolean} [background] - Internal. Whether the lookup is a background refresh which waits for foreground lookups when limited.
      */
 
     /**
@@ -51,11 +216,22 @@ class CachedLookup extends EventEmitter {
      */
     lookup;
 
+    /**
+     * A store of cached value records which implements the `Map` methods `get`, `set`, `delete`, `entries` and `clear`.
+     * Each method of the store can be either synchronous or asynchronous by returning a `Promise`.
+     * @typedef {Object} CacheStore
+     * @property {function(string):(CachedRecord|undefined|Promise<CachedRecord|undefined>)} get
+     * @property {function(string, CachedRecord):*} set
+     * @property {function(string):(boolean|Promise<boolean>)} delete
+     * @property {function():(Iterable<[string, CachedRecord]>|AsyncIterable<[string, CachedRecord]>)} entries
+     * @property {function():(void|Promise<void>)} clear
+     */
+
     /**
      * Stores the cached values identified by the serialized arguments from lookup calls.
-     * @type {Map<string, CachedRecord>}
+     * @type {Map<string, CachedRecord>|CacheStore}
      */
-    cache = new Map();
+    cache;
 
     /**
      * Stores the in-flight promises for any pending lookup calls identified by the serialized arguments.
@@ -63,11 +239,126 @@ class CachedLookup extends EventEmitter {
      */
     promises = new Map();
 
+    /**
+     * @typedef {Object} FailureRecord
+     * @property {Error} error
+     * @property {boolean} missing
+     * @property {number} ttl
+     * @property {number} updated_at
+     */
+
+    /**
+     * Stores the recent lookup failures identified by the serialized arguments when negative caching is enabled.
+     * @type {Map<string, FailureRecord>}
+     */
+    failures = new Map();
+
     /**
      * @typedef {Object} ConstructorOptions
      * @property {boolean} [auto_purge=true] - Whether to automatically purge cache values when they have aged past their last known maximum age.
      * @property {number} [purge_age_factor=1.5] - The factor by which to multiply the last known maximum age of a stale cache value to determine the age after which it should be purged from memory.
      * @property {number} [max_purge_eloop_tick=5000] - The number of items to purge from the cache per event loop tick. Decrease this value to reduce the impact of purging stale cache values on the event loop when working with many unique arguments.
+     * @property {function(...*):string} [key] - Custom key strategy which serializes the lookup arguments into a unique cache identifier. Must be provided together with `parse`.
+     * @property {function(string):Array} [parse] - Custom key strategy which parses a cache identifier back into the exact original lookup arguments. Must be provided together with `key`.
+     * @property {number} [max_entries] - The maximum number of cached values to hold before evicting cached values according to the `eviction` policy.
+     * @property {number} [max_bytes] - The maximum approximate size in bytes of all cached values to hold before evicting cached values according to the `eviction` policy.
+     * @property {('lru'|'lfu'|'oldest')} [eviction='lru'] - The policy used to choose which cached value to evict when the cache is full.
+     * @property {function(T):number} [size_of] - Returns the size in bytes of a cached value for the `max_bytes` limit. Defaults to an approximate estimation of the value in memory.
+     * @property {CacheStore} [store] - The store used to hold cached value records. Defaults to an in-memory `Map`.
+     * @property {Array<Map|CacheStore|StoreTier>} [tiers] - The tiers of stores with the fastest tier first which are layered with a `TieredStore` in place of the `store`.
+     * @property {ValueSerializer} [serializer] - The serializer used to convert cached values in snapshots from `dump()` and `load()`. Defaults to keeping values as is.
+     * @property {number} [error_ttl=0] - The number of milliseconds to cache errors thrown by the lookup function for. Calls within this window replay the same error without calling the lookup function.
+     * @property {number} [missing_ttl=0] - The number of milliseconds to cache `undefined` results of the lookup function for. Calls within this window resolve the `missing_value` or replay the same error without calling the lookup function.
+     * @property {*} [missing_value] - The sentinel value to resolve for cached `undefined` results instead of rejecting, including the call which cached the `undefined` result.
+     * @property {number} [stale_if_error=0] - The number of milliseconds past its maximum age for which an expired cached value is served instead of rejecting when a fresh lookup fails.
+     * @property {number} [timeout=0] - The number of milliseconds after which a lookup attempt is rejected and its in-flight promise is freed. Disabled when `0`.
+     * @property {number} [retries=0] - The number of times a failed lookup attempt is retried before rejecting.
+     * @property {number} [retry_delay=100] - The base delay in milliseconds before the first retry which is doubled for each following retry.
+     * @property {number} [retry_max_delay=10000] - The maximum delay in milliseconds between retries.
+     * @property {boolean} [retry_jitter=true] - Whether to randomize each retry delay between `0` and the exponential delay to spread out retries.
+     * @property {boolean} [abortable=false] - Whether to pass an `AbortSignal` to the lookup function as the last argument which is aborted once every waiting caller has given up or the in-flight lookup is expired or cleared.
+     * @property {BatchOptions} [batch] - Enables batch mode in which the lookup function is called with an Array of the arguments of all cache misses within a window and must resolve an Array of their values.
+     * @property {boolean|RefreshAheadOptions} [refresh_ahead=false] - Enables refreshing cached values which are read with `cached()` or `rolling()` in the background before they expire.
+     * @property {number} [max_concurrent] - The maximum number of lookups in-flight at once. Further lookups are queued with foreground lookups ahead of background refreshes.
+     * @property {RateLimitOptions} [rate_limit] - The token bucket rate limit of lookups. Further lookups are queued with foreground lookups ahead of background refreshes.
+     * @property {boolean|EarlyRefreshOptions} [early_refresh=false] - Enables refreshing cached values read near their expiry early in the background with a probability which grows with the duration of their last lookup.
+     * @property {number} [ttl_jitter=0] - The maximum fraction between `0` and `1` by which the maximum age of each cached value is randomly shortened to spread out the expiry of values cached at the same time.
+     * @property {('none'|'structured'|'freeze'|function(T):T)} [clone='none'] - Protects cached values from callers which change them by resolving copies with `structuredClone` or a custom copier, or by deep-freezing them when they are cached.
+     * @property {number|function(...*):string} [stats_prefix] - Tracks separate statistics for each key prefix which is either the number of leading arguments serialized like the cache identifiers or a function which returns the prefix of the provided arguments.
+     * @property {Clock} [clock] - The clock which provides the current time and schedules timers. Defaults to the system clock.
+     * @property {BusOptions} [bus] - Shares expired, cleared and fresh values with other instances in the same namespace through an invalidation transport.
+     */
+
+    /**
+     * @typedef {Object} BusOptions
+     * @property {InvalidationTransport} transport - The transport which publishes messages to and receives messages from the other instances.
+     * @property {string} namespace - The namespace which separates the messages of this lookup from the messages of other lookups on the same transport.
+     */
+
+    /**
+     * Publishes invalidation messages to the other instances and receives their messages.
+     * @typedef {Object} InvalidationTransport
+     * @property {function(InvalidationMessage):(void|Promise<void>)} publish
+     * @property {function(function(InvalidationMessage):void):function():void} subscribe - Returns a function which stops calling the handler.
+     */
+
+    /**
+     * @typedef {Object} InvalidationMessage
+     * @property {string} namespace
+     * @property {string} origin - The unique identifier of the instance which published the message.
+     * @property {('expire'|'expire_prefix'|'expire_tag'|'clear'|'fresh')} action
+     * @property {string=} identifier
+     * @property {Array=} prefix
+     * @property {string=} tag
+     * @property {CachedRecord=} record - The fresh cached value record with its value converted by the `serializer`.
+     */
+
+    /**
+     * @typedef {Object} RateLimitOptions
+     * @property {number} limit - The maximum number of lookups which can start within each interval.
+     * @property {number} interval - The interval in milliseconds over which the limit is refilled.
+     */
+
+    /**
+     * The hooks of a middleware added with `use()` which each receive the lookup arguments as an Array.
+     * @typedef {Object} Middleware
+     * @property {function(Array):(Array|void|Promise<Array|void>)} [before_lookup] - Returns the arguments to call the lookup function with instead.
+     * @property {function(T, Array):(T|void|Promise<T|void>)} [after_lookup] - Returns the value to use instead of the resolved value or throws to reject it.
+     * @property {function(T, Array):(boolean|void|Promise<boolean|void>)} [before_set] - Returns `false` to resolve the value without caching it.
+     * @property {function(T, ('hit'|'stale'), Array):void} [on_hit] - Called whenever a cached value is served.
+     * @property {function(T, Array):(boolean|void|Promise<boolean|void>)} [on_purge] - Returns `false` to keep the stale value in the cache.
+     */
+
+    /**
+     * @typedef {Object} EarlyRefreshOptions
+     * @property {number} [beta=1] - The weight of the last lookup duration where values above `1` favor earlier refreshes.
+     */
+
+    /**
+     * @typedef {Object} RefreshAheadOptions
+     * @property {number} [at=0.8] - The fraction of the maximum age of a cached value after which it is refreshed in the background.
+     * @property {number} [concurrency=4] - The maximum number of background refreshes in-flight at once.
+     * @property {number} [idle_ms] - The number of milliseconds without reads after which a cached value is no longer refreshed. Defaults to the maximum age of the cached value.
+     */
+
+    /**
+     * @typedef {Object} BatchOptions
+     * @property {number} [max_size=Infinity] - The maximum number of arguments per call to the batch lookup function.
+     * @property {number} [window_ms=0] - The number of milliseconds to collect cache misses for before calling the batch lookup function.
+     */
+
+    /**
+     * Converts cached values into JSON-safe values for snapshots and back.
+     * @typedef {Object} ValueSerializer
+     * @property {function(T):*} serialize
+     * @property {function(*):T} deserialize
+     */
+
+    /**
+     * A serializable snapshot of the cached values of a CachedLookup instance.
+     * @typedef {Object} CacheSnapshot
+     * @property {number} version
+     * @property {Array<{identifier: string, args: Array, value: *, max_age?: number, updated_at: number, stale_if_error?: number, ttl?: number, stale_ttl?: number, tags?: string[], duration?: number, jitter?: number}>} entries
      */
 
     /**
@@ -96,14 +387,194 @@ class CachedLookup extends EventEmitter {
             }
         }
 
+        // Ensure a custom key strategy is always provided as a complete pair of functions
+        if (typeof options === 'object' && (options.key !== undefined || options.parse !== undefined)) {
+            if (typeof options.key !== 'function' || typeof options.parse !== 'function')
+                throw new Error(
+                    'new CachedLookup(options, lookup) -> options.key and options.parse must be provided together as Functions.',
+                );
+        }
+
         // Store the lookup function and options
         this.lookup = lookup;
         this.options = Object.freeze({
             auto_purge: true, // By default automatically purge cache values when they have aged past their last known maximum age
             purge_age_factor: 1.5, // By default purge values that are one and half times their maximum age
             max_purge_eloop_tick: 5000, // By default purge 5000 items per event loop tick
+            error_ttl: 0, // By default do not cache errors thrown by the lookup function
+            missing_ttl: 0, // By default do not cache undefined results of the lookup function
+            stale_if_error: 0, // By default reject with the lookup error instead of serving expired cached values
+            timeout: 0, // By default wait for the lookup function indefinitely
+            retries: 0, // By default do not retry failed lookups
+            retry_delay: 100, // By default wait 100ms before the first retry
+            retry_max_delay: 10000, // By default wait at most 10 seconds between retries
+            retry_jitter: true, // By default randomize the retry delays
+            abortable: false, // By default do not pass an AbortSignal to the lookup function
+            refresh_ahead: false, // By default only refresh cached values when they are requested
+            early_refresh: false, // By default do not refresh cached values early at random
+            ttl_jitter: 0, // By default expire cached values exactly at their maximum age
+            clone: 'none', // By default resolve the cached values by reference
+            eviction: 'lru', // By default evict the least recently used cached values when the cache is full
+            size_of: estimate_size, // By default estimate the size of cached values in memory
             ...(typeof options === 'object' ? options : {}),
         });
+
+        // Ensure the clock implements all of the required methods if provided
+        const { clock = system_clock } = this.options;
+        for (const method of ['now', 'setTimeout', 'clearTimeout']) {
+            if (!clock || typeof clock[method] !== 'function')
+                throw new Error(
+                    `new CachedLookup(options, lookup) -> options.clock must implement a ${method}() method.`,
+                );
+        }
+        this.#clock = clock;
+
+        // Ensure the cache limits are valid positive numbers if provided
+        for (const limit of ['max_entries', 'max_bytes']) {
+            const value = this.options[limit];
+            if (value !== undefined && (typeof value !== 'number' || isNaN(value) || value < 1))
+                throw new Error(`new CachedLookup(options, lookup) -> options.${limit} must be a positive number.`);
+        }
+
+        // Ensure the store implements all of the required methods if provided
+        const { store, tiers } = this.options;
+        if (store !== undefined && tiers !== undefined)
+            throw new Error(
+                'new CachedLookup(options, lookup) -> options.store and options.tiers cannot be used together.',
+            );
+        if (store !== undefined) {
+            for (const method of ['get', 'set', 'delete', 'entries', 'clear']) {
+                if (!store || typeof store[method] !== 'function')
+                    throw new Error(
+                        `new CachedLookup(options, lookup) -> options.store must implement a ${method}() method.`,
+                    );
+            }
+        }
+        this.cache = store || (tiers !== undefined ? new TieredStore(tiers, { clock }) : new Map());
+
+        // Initialize the eviction policy if the cache is bounded
+        if (this.options.max_entries !== undefined || this.options.max_bytes !== undefined)
+            this.#eviction = new EvictionPolicy(this.options.eviction);
+
+        // Initialize the batcher which coalesces cache misses into calls to the batch lookup function if batch mode is enabled
+        const { batch } = this.options;
+        if (batch !== undefined) {
+            if (!batch || typeof batch !== 'object')
+                throw new Error('new CachedLookup(options, lookup) -> options.batch must be an Object.');
+            this.#batcher = new Batcher(batch, clock, async (args_list, signal, background) => {
+                // Limit the calls to the batch lookup function rather than each of the lookups in the batch
+                let release = this._acquire_slot(background, signal, [args_list]);
+                if (is_thenable(release)) release = await release;
+                try {
+                    return await (this.options.abortable ? this.lookup(args_list, signal) : this.lookup(args_list));
+                } finally {
+                    if (release) release();
+                }
+            });
+        }
+
+        // Initialize the limiter if the concurrency or the rate of lookups is limited
+        const { max_concurrent, rate_limit } = this.options;
+        if (
+            max_concurrent !== undefined &&
+            (typeof max_concurrent !== 'number' || isNaN(max_concurrent) || max_concurrent < 1)
+        )
+            throw new Error('new CachedLookup(options, lookup) -> options.max_concurrent must be a positive number.');
+        if (rate_limit !== undefined) {
+            const { limit, interval } = rate_limit || {};
+            if (typeof limit !== 'number' || isNaN(limit) || limit < 1)
+                throw new Error(
+                    'new CachedLookup(options, lookup) -> options.rate_limit.limit must be a positive number.',
+                );
+            if (typeof interval !== 'number' || isNaN(interval) || interval <= 0)
+                throw new Error(
+                    'new CachedLookup(options, lookup) -> options.rate_limit.interval must be a positive number.',
+                );
+        }
+        if (max_concurrent !== undefined || rate_limit !== undefined)
+            this.#limiter = new Limiter({ concurrency: max_concurrent, rate_limit, clock });
+
+        // Initialize the statistics with the key prefix strategy if one was provided
+        const { stats_prefix } = this.options;
+        if (typeof stats_prefix === 'function') {
+            this.#stats = new Stats((args) => String(stats_prefix(...args)));
+        } else if (typeof stats_prefix === 'number' && stats_prefix >= 1) {
+            this.#stats = new Stats((args) => keys.serialize(args.slice(0, stats_prefix)));
+        } else if (stats_prefix === undefined) {
+            this.#stats = new Stats();
+        } else {
+            throw new Error(
+                'new CachedLookup(options, lookup) -> options.stats_prefix must be a positive number or a Function.',
+            );
+        }
+
+        // Ensure the early refresh and the ttl jitter options are valid
+        const { early_refresh, ttl_jitter } = this.options;
+        if (early_refresh) {
+            if (early_refresh !== true && typeof early_refresh !== 'object')
+                throw new Error(
+                    'new CachedLookup(options, lookup) -> options.early_refresh must be a Boolean or an Object.',
+                );
+            const { beta = 1 } = early_refresh === true ? {} : early_refresh;
+            if (typeof beta !== 'number' || isNaN(beta) || beta <= 0)
+                throw new Error(
+                    'new CachedLookup(options, lookup) -> options.early_refresh.beta must be a positive number.',
+                );
+        }
+        if (typeof ttl_jitter !== 'number' || isNaN(ttl_jitter) || ttl_jitter < 0 || ttl_jitter >= 1)
+            throw new Error(
+                'new CachedLookup(options, lookup) -> options.ttl_jitter must be a number between 0 and 1.',
+            );
+
+        // Ensure the clone option is one of the clone modes or a custom copier
+        const { clone } = this.options;
+        if (typeof clone !== 'function' && !CLONE_MODES.includes(clone))
+            throw new Error(
+                `new CachedLookup(options, lookup) -> options.clone must be a Function or one of ${CLONE_MODES.join(', ')}.`,
+            );
+        if (clone === 'structured' && typeof structuredClone !== 'function')
+            throw new Error(
+                "new CachedLookup(options, lookup) -> options.clone 'structured' requires structuredClone() which is only available in Node.js 17 or newer.",
+            );
+
+        // Ensure the refresh ahead options are valid if refresh ahead is enabled
+        const { refresh_ahead } = this.options;
+        if (refresh_ahead) {
+            if (refresh_ahead !== true && typeof refresh_ahead !== 'object')
+                throw new Error(
+                    'new CachedLookup(options, lookup) -> options.refresh_ahead must be a Boolean or an Object.',
+                );
+            const { at = 0.8, concurrency = 4, idle_ms } = refresh_ahead === true ? {} : refresh_ahead;
+            if (typeof at !== 'number' || isNaN(at) || at <= 0 || at > 1)
+                throw new Error(
+                    'new CachedLookup(options, lookup) -> options.refresh_ahead.at must be a number between 0 and 1.',
+                );
+            if (typeof concurrency !== 'number' || isNaN(concurrency) || concurrency < 1)
+                throw new Error(
+                    'new CachedLookup(options, lookup) -> options.refresh_ahead.concurrency must be a positive number.',
+                );
+            if (idle_ms !== undefined && (typeof idle_ms !== 'number' || isNaN(idle_ms) || idle_ms < 0))
+                throw new Error(
+                    'new CachedLookup(options, lookup) -> options.refresh_ahead.idle_ms must be a valid number.',
+                );
+        }
+
+        // Subscribe to the invalidation bus if a transport is provided
+        const { bus } = this.options;
+        if (bus !== undefined) {
+            const { transport, namespace } = bus || {};
+            if (!transport || typeof transport.publish !== 'function' || typeof transport.subscribe !== 'function')
+                throw new Error(
+                    'new CachedLookup(options, lookup) -> options.bus.transport must implement publish() and subscribe() methods.',
+                );
+            if (typeof namespace !== 'string' || !namespace)
+                throw new Error(
+                    'new CachedLookup(options, lookup) -> options.bus.namespace must be a non-empty String.',
+                );
+
+            this.#bus = { transport, namespace, origin: crypto.randomUUID(), unsubscribe: null };
+            this.#bus.unsubscribe = transport.subscribe((message) => this._receive(message));
+        }
     }
 
     /**
@@ -134,82 +605,341 @@ class CachedLookup extends EventEmitter {
     }
 
     /**
-     * Returns an Array of arguments from a serialized string.
+     * Returns a unique identifier for the provided set of arguments using the configured key strategy.
+     * @private
+     * @param {Array<SerializableArgumentTypes|Array<SerializableArgumentTypes>>} args
+     * @returns {string}
+     */
+    _serialize_arguments(args) {
+        // Use the custom key strategy if one was provided
+        if (this.options.key) return this.options.key(...args);
+
+        // Use the default key strategy
+        return keys.serialize(args);
+    }
+
+    /**
+     * Returns an Array of the original arguments from a serialized identifier using the configured key strategy.
      * @private
      * @param {string} serialized
      * @returns {SerializableArgumentTypes[]}
      */
     _parse_arguments(serialized) {
-        return serialized.split(this.#delimiter).map((arg) => {
-            // Handle null values
-            if (arg === 'null') return null;
+        // Use the custom key strategy if one was provided
+        if (this.options.parse) return this.options.parse(serialized);
+
+        // Use the default key strategy
+        return keys.parse(serialized);
+    }
+
+    /**
+     * Returns the per-call options from the provided `max_age` / `target_age` parameter which can either be a number or a `CallOptions` object.
+     * @private
+     * @param {string} method
+     * @param {string} name
+     * @param {number|CallOptions} max_age
+     * @returns {CallOptions}
+     */
+    _parse_call_options(method, name, max_age) {
+        const options = max_age !== null && typeof max_age === 'object' ? { ...max_age } : { max_age };
 
-            // Handle boolean values
-            if (arg === 'true') return true;
-            if (arg === 'false') return false;
+        // Ensure the max_age is a valid number
+        const age = options.max_age;
+        if (typeof age !== 'number' || isNaN(age) || age < 0 || age > Number.MAX_SAFE_INTEGER)
+            throw new Error(`CachedLookup.${method}(${name}) -> ${name} must be a valid number.`);
 
-            // Handle number values
-            if (!isNaN(arg)) return Number(arg);
+        return this._resolve_call_options(method, options);
+    }
 
-            // Handle string values
-            return arg;
-        });
+    /**
+     * Fills in the provided per-call options with the constructor options for any option which was not provided.
+     * @private
+     * @param {string} method
+     * @param {CallOptions} options
+     * @returns {CallOptions}
+     */
+    _resolve_call_options(method, options) {
+        // Ensure the numeric options are valid numbers and fall back to the constructor options
+        for (const key of NUMERIC_CALL_OPTIONS) {
+            if (options[key] === undefined) options[key] = this.options[key];
+            const value = options[key];
+            if (typeof value !== 'number' || isNaN(value) || value < 0)
+                throw new Error(`CachedLookup.${method}(options) -> options.${key} must be a valid number.`);
+        }
+
+        // Fall back to the constructor option for the retry jitter
+        if (options.retry_jitter === undefined) options.retry_jitter = this.options.retry_jitter;
+
+        // Ensure the signal is an AbortSignal if provided
+        if (options.signal !== undefined && !(options.signal instanceof AbortSignal))
+            throw new Error(`CachedLookup.${method}(options) -> options.signal must be an AbortSignal.`);
+
+        return options;
     }
 
     /**
      * Reads the most up to date cached value record for the provided set of arguments if it exists and is not older than the specified maximum age.
+     * Returns a Promise if the store is asynchronous.
      *
      * @private
      * @param {string} identifier
      * @param {number=} max_age
-     * @returns {CachedRecord=}
+     * @returns {CachedRecord|undefined|Promise<CachedRecord|undefined>}
      */
     _get_from_cache(identifier, max_age) {
-        // Ensure the cached value record exists in the cache
-        const record = this.cache.get(identifier);
-        if (!record) return;
+        return chain(this.cache.get(identifier), (record) => {
+            // Ensure the cached value record exists in the cache
+            if (!record) return;
+
+            // Index the purge time of cached values which were written to a shared store by another instance
+            if (!this.#expiries.has(identifier)) this._index_expiry(identifier, record);
+
+            // Ensure the value is not older than the specified maximum age or its own ttl if provided
+            if (max_age !== undefined && this.#clock.now() - this._get_max_age(record, max_age) > record.updated_at)
+                return;
+
+            // Update the record max_age if it is smaller than the provided max_age
+            if (max_age !== undefined && max_age < (record.max_age || Infinity)) {
+                record.max_age = max_age;
+                this._index_expiry(identifier, record);
+
+                // Write the record back to the store as it may not hold the record by reference
+                if (!(this.cache instanceof Map)) this._catch(this.cache.set(identifier, record));
+            }
+
+            // Track the read of this cached value for eviction
+            if (this.#eviction) this.#eviction.read(identifier);
 
-        // Schedule a cache cleanup for this entry if a max_age was provided
-        if (max_age !== undefined) this._schedule_cache_cleanup(max_age);
+            // Return the cached value record
+            return record;
+        });
+    }
 
-        // Ensure the value is not older than the specified maximum age if provided
-        if (max_age !== undefined && Date.now() - max_age > record.updated_at) return;
+    /**
+     * Returns the maximum age of the provided cached value record which is the smaller of the provided `max_age` and its own `ttl`.
+     *
+     * @private
+     * @param {CachedRecord} record
+     * @param {number=} max_age
+     * @returns {number=}
+     */
+    _get_max_age(record, max_age = record.max_age) {
+        if (record.ttl !== undefined) max_age = max_age === undefined ? record.ttl : Math.min(max_age, record.ttl);
 
-        // Update the record max_age if it is smaller than the provided max_age
-        if (max_age !== undefined && max_age < (record.max_age || Infinity)) record.max_age = max_age;
+        // Shorten the maximum age by the random jitter of the cached value
+        if (max_age === undefined || record.jitter === undefined) return max_age;
+        return max_age * record.jitter;
+    }
 
-        // Return the cached value record
-        return record;
+    /**
+     * Returns the number of milliseconds after its maximum age for which the provided cached value record can still be served stale.
+     *
+     * @private
+     * @param {CachedRecord} record
+     * @param {number=} stale_if_error Defaults to the `stale_if_error` window the record was cached with.
+     * @returns {number}
+     */
+    _get_stale_window(record, stale_if_error = record.stale_if_error) {
+        return Math.max(stale_if_error || 0, record.stale_ttl || 0);
     }
 
     /**
      * Writes the provided value to the cache as the most up to date cached value for the provided set of arguments.
+     * Returns a Promise if the store is asynchronous.
      *
      * @private
      * @param {string} identifier
-     * @param {number=} max_age
+     * @param {CallOptions=} options
      * @param {T} value
+     * @param {LookupResult=} result The metadata returned by the lookup function for this value.
+     * @param {number=} duration The number of milliseconds the successful attempt to look up this value took.
+     * @returns {void|Promise<void>}
      */
-    _set_in_cache(identifier, max_age, value) {
-        const now = Date.now();
-
-        // Retrieve the cached value record for this identifier from the cache
-        const record = this.cache.get(identifier) || {
+    _set_in_cache(identifier, options = {}, value, result, duration) {
+        // Create the most up to date cached value record for this identifier
+        const { max_age, stale_if_error } = options;
+        const record = {
             value,
             max_age,
-            updated_at: now,
+            updated_at: this.#clock.now(),
         };
 
-        // Update the record values
-        record.value = value;
-        record.updated_at = now;
-        record.max_age = max_age;
+        // Remember the stale_if_error window so the cached value is not purged while it can still be served
+        if (stale_if_error) record.stale_if_error = stale_if_error;
+
+        // Remember the lifetimes and tags decided by the lookup function
+        if (result) {
+            if (result.ttl !== undefined) record.ttl = result.ttl;
+            if (result.stale_ttl !== undefined) record.stale_ttl = result.stale_ttl;
+            if (result.tags !== undefined) record.tags = result.tags;
+        }
+
+        // Remember the lookup duration for early refreshes and shorten the maximum age by a random jitter
+        if (duration !== undefined) record.duration = duration;
+        if (this.options.ttl_jitter) record.jitter = 1 - Math.random() * this.options.ttl_jitter;
+
+        // Write the cached value record for this identifier and share it with the other instances on the bus
+        return chain(this._write_record(identifier, record), () => {
+            if (!this.#bus) return;
+            const { serialize } = this.options.serializer || {};
+            this._publish('fresh', { identifier, record: { ...record, value: serialize ? serialize(value) : value } });
+        });
+    }
+
+    /**
+     * Writes the provided cached value record to the cache and schedules its cleanup based on its remaining age.
+     * Returns a Promise if the store is asynchronous.
+     *
+     * @private
+     * @param {string} identifier
+     * @param {CachedRecord} record
+     * @returns {void|Promise<void>}
+     */
+    _write_record(identifier, record) {
+        // Deep-freeze the cached value so callers cannot change it
+        if (this.options.clone === 'freeze') deep_freeze(record.value);
+
+        // Store the cached value record in the cache
+        return chain(this.cache.set(identifier, record), () => {
+            // Index the purge time of this entry and schedule a purge for it if it has a max_age
+            this._index_expiry(identifier, record);
+
+            // Schedule the next background refresh of this entry if it is refreshed ahead of its expiry
+            const refresh = this.#refreshes.get(identifier);
+            if (refresh) this._schedule_refresh(identifier, refresh, record);
+
+            // Track the write of this cached value and evict other cached values if the cache or its budget has grown too large
+            if (this.#eviction) {
+                this.#eviction.write(identifier, this.options.size_of(record.value));
+                return chain(this._enforce_cache_limits(identifier), () => this.#budget && this.#budget(identifier));
+            }
+        });
+    }
+
+    /**
+     * Evicts cached values according to the eviction policy until the cache is within its `max_entries` and `max_bytes` limits.
+     * Returns a Promise if the store is asynchronous.
+     *
+     * @private
+     * @param {string=} identifier The most recently written identifier which should only be evicted as a last resort.
+     * @returns {void|Promise<void>}
+     */
+    _enforce_cache_limits(identifier) {
+        const { max_entries = Infinity, max_bytes = Infinity } = this.options;
+        const pending = [];
+        while (this.#eviction.size) {
+            // Determine the reason for eviction or stop if the cache is within its limits
+            let reason;
+            if (this.#eviction.size > max_entries) {
+                reason = 'max_entries';
+            } else if (this.#eviction.bytes > max_bytes) {
+                reason = 'max_bytes';
+            } else {
+                break;
+            }
+
+            // Evict the victim cached value from the cache
+            const result = this._evict(reason, identifier);
+            if (result) pending.push(result);
+        }
+
+        // Wait for any asynchronous evictions to complete
+        if (pending.length) return Promise.all(pending).then(() => {});
+    }
+
+    /**
+     * Evicts the next victim of the eviction policy from the cache and emits an 'evict' event with the provided reason.
+     * Returns a Promise if the store is asynchronous.
+     *
+     * @private
+     * @param {EvictionReasonTypes} reason
+     * @param {string=} exclude The identifier which is only evicted if it is the last tracked cached value.
+     * @returns {void|Promise<void>}
+     */
+    _evict(reason, exclude) {
+        const victim = this.#eviction.victim(exclude);
+        this.#eviction.remove(victim);
+        this.#expiries.delete(victim);
+        this._forget_refresh(victim);
+        return chain(this.cache.get(victim), (record) =>
+            chain(this.cache.delete(victim), () => {
+                // Emit an 'evict' event with the evicted value, the reason and the original arguments
+                if (record) {
+                    const args = this._parse_arguments(victim);
+                    this.#stats.increment('evictions', args);
+                    this.emit('evict', record.value, reason, ...args);
+                }
+            }),
+        );
+    }
+
+    /**
+     * Returns the approximate size in bytes of the cached values which are tracked for eviction.
+     *
+     * @private
+     * @returns {number}
+     */
+    _get_bytes() {
+        return this.#eviction ? this.#eviction.bytes : 0;
+    }
 
-        // Store the updated cached value record in the cache
-        this.cache.set(identifier, record);
+    /**
+     * Sets the function which enforces a memory budget shared with other instances after each write or removes it.
+     * Starts tracking the size of the cached values for eviction if they are not tracked yet.
+     * Returns a Promise if the store is asynchronous.
+     *
+     * @private
+     * @param {(function(string):(void|Promise<void>))=} enforce Called with the identifier of each written cached value.
+     * @returns {void|Promise<void>}
+     */
+    _set_budget(enforce) {
+        this.#budget = enforce;
+        if (!enforce || this.#eviction) return;
+
+        // Track the size of the cached values which were written before the budget was set
+        const eviction = (this.#eviction = new EvictionPolicy(this.options.eviction));
+        return for_each(this.cache.entries(), ([identifier, record]) =>
+            eviction.write(identifier, this.options.size_of(record.value)),
+        );
+    }
+
+    /**
+     * Returns the timestamp in milliseconds after which the provided cached value record should be purged.
+     * Cached values are kept for their maximum age multiplied by the `purge_age_factor` or until their stale window closes, whichever is later.
+     *
+     * @private
+     * @param {CachedRecord} record
+     * @returns {number=}
+     */
+    _get_purge_at(record) {
+        const max_age = this._get_max_age(record);
+        if (max_age === undefined) return;
+        return (
+            record.updated_at +
+            Math.max(max_age * this.options.purge_age_factor, max_age + this._get_stale_window(record))
+        );
+    }
+
+    /**
+     * Handles the rejection of a background store operation which has no caller to reject.
+     *
+     * @private
+     * @param {*} result
+     */
+    _catch(result) {
+        if (result && typeof result.catch === 'function') result.catch((error) => this._emit_error(error));
+    }
 
-        // Schedule a cache cleanup for this entry if a max_age was provided
-        if (max_age !== undefined) this._schedule_cache_cleanup(max_age);
+    /**
+     * Emits an 'error' event with the provided error if there are any listeners for it.
+     * Errors are not emitted without listeners as `EventEmitter` would throw them instead.
+     *
+     * @private
+     * @param {Error} error
+     * @param {...*} args
+     */
+    _emit_error(error, ...args) {
+        if (this.listenerCount('error') > 0) this.emit('error', error, ...args);
     }
 
     /**
@@ -223,64 +953,523 @@ class CachedLookup extends EventEmitter {
         if (!this.options.auto_purge) return false;
 
         // Increase the max_age by the purge_age_factor to determine the true max_age of the cached value
-        max_age *= this.options.purge_age_factor;
+        return this._schedule_purge(this.#clock.now() + max_age * this.options.purge_age_factor);
+    }
 
-        // Return false if the scheduled expected cleanup is sooner than the provided max_age as there is no need to expedite the cleanup
-        const now = Date.now();
-        const { timeout, expected_at } = this.#cleanup;
-        if (timeout && expected_at && expected_at <= now + max_age) return false;
+    /**
+     * Schedules a purge at the provided time if it is earlier than the next expected purge.
+     *
+     * @private
+     * @param {number} purge_at
+     * @returns {boolean} Whether a sooner maintenance was scheduled.
+     */
+    _schedule_purge(purge_at) {
+        // Remember the earliest purge so maintenance ticks scheduled for other work do not purge before it is due
+        if (this.#cleanup.purge_at === null || purge_at < this.#cleanup.purge_at) this.#cleanup.purge_at = purge_at;
 
-        // Clear the existing cleanup timeout if one exists
-        if (timeout) clearTimeout(timeout);
+        return this._schedule_maintenance(Math.max(0, purge_at - this.#clock.now()));
+    }
 
-        // Create a new cleanup timeout to purge stale cache values
-        this.#cleanup.expected_at = now + max_age;
-        this.#cleanup.timeout = setTimeout(
-            async () => {
-                // Clear the existing cleanup timeout
-                this.#cleanup.timeout = null;
-                this.#cleanup.expected_at = null;
+    /**
+     * Indexes the purge time of the provided cached value record and schedules a purge for it.
+     * Cached value records without a maximum age are removed from the index as they are never purged.
+     *
+     * @private
+     * @param {string} identifier
+     * @param {CachedRecord} record
+     */
+    _index_expiry(identifier, record) {
+        // Do not index anything if auto_purge is disabled
+        if (!this.options.auto_purge) return;
 
-                // Purge stale cache values
-                let count = 0;
-                let now = Date.now();
-                let nearest_expiry_at = Number.MAX_SAFE_INTEGER;
-                for (const [identifier, record] of this.cache) {
-                    // Flush the event loop every max purge items per synchronous event loop tick
-                    if (count % this.options.max_purge_eloop_tick === 0) {
-                        await new Promise((resolve) => setTimeout(resolve, 0));
-                    }
-                    count++;
+        const purge_at = this._get_purge_at(record);
+        if (purge_at === undefined) return this.#expiries.delete(identifier);
 
-                    // Skip if the cached value does not have a max value to determine if it is stale
-                    if (record.max_age === undefined) continue;
+        this.#expiries.set(identifier, purge_at);
+        this._schedule_purge(purge_at);
+    }
 
-                    // Skip this cached value if it is not stale
-                    const true_max_Age = record.max_age * this.options.purge_age_factor;
-                    const stale = now - true_max_Age > record.updated_at;
-                    if (!stale) {
-                        // Update the nearest expiry timestamp if this cached value is closer than the previous one
-                        const expiry_at = record.updated_at + true_max_Age;
-                        if (expiry_at < nearest_expiry_at) nearest_expiry_at = expiry_at;
+    /**
+     * Schedules the maintenance timeout which purges stale cache values and refreshes cached values ahead of their expiry if the provided delay is earlier than the next expected maintenance.
+     *
+     * @private
+     * @param {number} delay In Milliseconds
+     * @returns {boolean} Whether a sooner maintenance was scheduled.
+     */
+    _schedule_maintenance(delay) {
+        // Do not schedule any maintenance once this instance has been shut down
+        if (this.#shut_down) return false;
 
-                        // Skip this cached value
-                        continue;
-                    }
+        // Return false if the scheduled expected maintenance is sooner than the provided delay as there is no need to expedite it
+        const now = this.#clock.now();
+        const { timeout, expected_at } = this.#cleanup;
+        if (timeout && expected_at && expected_at <= now + delay) return false;
 
-                    // Emit a purge event with the stale value and the provided arguments
-                    this.emit('purge', record.value, ...this._parse_arguments(identifier));
+        // Clear the existing maintenance timeout if one exists
+        if (timeout) this.#clock.clearTimeout(timeout);
 
-                    // Delete the stale cached value
-                    this.cache.delete(identifier);
-                }
+        // Create a new maintenance timeout to purge stale cache values and refresh cached values ahead of their expiry
+        this.#cleanup.expected_at = now + delay;
+        this.#cleanup.timeout = this.#clock.setTimeout(
+            () => {
+                // Clear the existing maintenance timeout
+                this.#cleanup.timeout = null;
+                this.#cleanup.expected_at = null;
 
-                // Schedule another cleanup if there are still more values remaining in the cache
-                if (this.cache.size && nearest_expiry_at < Number.MAX_SAFE_INTEGER) {
-                    this._schedule_cache_cleanup(nearest_expiry_at - now);
-                }
+                // Perform the maintenance and emit any store errors as there is no caller to reject
+                return this._run_maintenance().catch((error) => this._emit_error(error));
             },
-            Math.min(max_age, 2147483647),
+            Math.min(delay, 2147483647),
         ); // Do not allow the timeout to exceed the maximum timeout value of 2147483647 as it will cause an overflow error
+        return true;
+    }
+
+    /**
+     * Refreshes the cached values which are due for a background refresh and purges stale cache values once a purge is due.
+     *
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _run_maintenance() {
+        if (this.options.refresh_ahead) this._refresh_ahead();
+
+        // Purge stale cache values if a purge is due, otherwise wait for the next purge
+        const { purge_at } = this.#cleanup;
+        if (purge_at === null) return;
+        if (purge_at <= this.#clock.now()) {
+            this.#cleanup.purge_at = null;
+            await this._purge_stale_values();
+        } else {
+            this._schedule_maintenance(purge_at - this.#clock.now());
+        }
+    }
+
+    /**
+     * Tracks a read of the cached value for the provided identifier so it is refreshed ahead of its expiry while it keeps being read.
+     *
+     * @private
+     * @param {string} identifier
+     * @param {CallOptions} options
+     * @param {Array} args
+     * @param {CachedRecord=} record The cached value record which was read if one exists.
+     */
+    _track_read(identifier, options, args, record) {
+        if (!this.options.refresh_ahead) return;
+
+        // Remember the latest per-call options without the signal as the refresh has no caller to abort it
+        let refresh = this.#refreshes.get(identifier);
+        if (!refresh) {
+            refresh = { args };
+            this.#refreshes.set(identifier, refresh);
+        }
+        refresh.options = { ...options, signal: undefined, background: true };
+        refresh.read_at = this.#clock.now();
+
+        // Schedule the refresh of the cached value if one is not scheduled yet
+        if (record && refresh.refresh_at === undefined) this._schedule_refresh(identifier, refresh, record);
+    }
+
+    /**
+     * Stops refreshing the cached value for the provided identifier ahead of its expiry.
+     *
+     * @private
+     * @param {string} identifier
+     */
+    _forget_refresh(identifier) {
+        this.#refreshes.delete(identifier);
+        this.#refresh_index.delete(identifier);
+    }
+
+    /**
+     * Schedules the background refresh of the provided cached value record at the `refresh_ahead.at` fraction of its maximum age.
+     *
+     * @private
+     * @param {string} identifier
+     * @param {{args: Array, options: CallOptions, read_at: number, refresh_at?: number}} refresh
+     * @param {CachedRecord} record
+     */
+    _schedule_refresh(identifier, refresh, record) {
+        const { at = 0.8 } = this.options.refresh_ahead;
+        const max_age = this._get_max_age(record, refresh.options.max_age);
+        this._set_refresh_at(identifier, refresh, record.updated_at + max_age * at);
+    }
+
+    /**
+     * Sets the next refresh time of the provided refresh and schedules a maintenance for it.
+     *
+     * @private
+     * @param {string} identifier
+     * @param {{args: Array, options: CallOptions, read_at: number, refresh_at?: number}} refresh
+     * @param {number} refresh_at
+     */
+    _set_refresh_at(identifier, refresh, refresh_at) {
+        refresh.refresh_at = refresh_at;
+        this.#refresh_index.set(identifier, refresh_at);
+        this._schedule_maintenance(Math.max(0, refresh_at - this.#clock.now()));
+    }
+
+    /**
+     * Starts the background refreshes of the cached values which are due within the `refresh_ahead.concurrency` limit.
+     * Cached values which have not been read within the `refresh_ahead.idle_ms` window are no longer refreshed.
+     *
+     * @private
+     */
+    _refresh_ahead() {
+        const { concurrency = 4, idle_ms } = this.options.refresh_ahead;
+        const now = this.#clock.now();
+
+        // Visit the due refreshes in the order of their refresh time while a background refresh slot is available
+        while (this.#refreshing < concurrency) {
+            const refresh_at = this.#refresh_index.peek();
+            if (refresh_at === undefined || refresh_at > now) break;
+
+            const identifier = this.#refresh_index.shift();
+            const refresh = this.#refreshes.get(identifier);
+            if (!refresh) continue;
+            refresh.refresh_at = undefined;
+
+            // Stop refreshing the cached value if it has not been read recently
+            const idle = idle_ms !== undefined ? idle_ms : refresh.options.max_age;
+            if (now - refresh.read_at > idle) {
+                this.#refreshes.delete(identifier);
+                continue;
+            }
+
+            // Skip the cached value if it is already in-flight as writing its fresh value schedules the next refresh
+            if (this.promises.has(identifier)) continue;
+
+            // Retry the refresh once the recent failure of the cached value has expired
+            const failure = this._get_failure(identifier);
+            if (failure) {
+                this._set_refresh_at(identifier, refresh, failure.updated_at + failure.ttl + 1);
+                continue;
+            }
+
+            // Refresh the cached value in the background and check for more due refreshes once it settles
+            this.#refreshing++;
+            this._get_fresh_value(identifier, refresh.options, ...refresh.args)
+                .catch((error) => this._emit_error(error, ...refresh.args))
+                .finally(() => {
+                    this.#refreshing--;
+                    this._refresh_ahead();
+                });
+        }
+
+        // Schedule the next maintenance for the nearest refresh unless it is throttled until a background refresh settles
+        const nearest_refresh_at = this.#refresh_index.peek();
+        if (nearest_refresh_at !== undefined && nearest_refresh_at > now)
+            this._schedule_maintenance(nearest_refresh_at - now);
+    }
+
+    /**
+     * Returns whether the `on_purge` hooks of the middlewares allow the provided stale value to be purged.
+     * Errors thrown by the hooks are emitted and do not prevent the purge.
+     *
+     * @private
+     * @param {CachedRecord} record
+     * @param {Array} args
+     * @returns {Promise<boolean>}
+     */
+    async _allows_purge(record, args) {
+        try {
+            return await this.#middlewares.allows('on_purge', record.value, args);
+        } catch (error) {
+            this._emit_error(error, ...args);
+            return true;
+        }
+    }
+
+    /**
+     * Purges all stale cache values which have aged past their maximum age multiplied by the `purge_age_factor`.
+     * Only the cached values which are due in the expiry index are visited so the cost of a purge tracks the number of stale values.
+     * Schedules another purge for the nearest expiry of the remaining cache values.
+     *
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _purge_stale_values() {
+        let count = 0;
+        const now = this.#clock.now();
+        let nearest_expiry_at = Number.MAX_SAFE_INTEGER;
+
+        // Forget the failures in the order of their expiry time until the next one has not expired yet
+        while (this.#failure_expiries.size) {
+            if (this.#failure_expiries.peek() >= now) break;
+            const identifier = this.#failure_expiries.shift();
+
+            // Skip the failure if it no longer exists and index it again if it has been replaced since it was indexed
+            const failure = this.failures.get(identifier);
+            if (!failure) continue;
+            const expiry_at = failure.updated_at + failure.ttl;
+            if (expiry_at < now) {
+                this.failures.delete(identifier);
+            } else {
+                this.#failure_expiries.set(identifier, expiry_at);
+            }
+        }
+        const next_failure_expiry_at = this.#failure_expiries.peek();
+        if (next_failure_expiry_at !== undefined) nearest_expiry_at = next_failure_expiry_at;
+
+        // Visit the cached values in the order of their purge time until the next one is not stale yet
+        while (this.#expiries.size) {
+            const expiry_at = this.#expiries.peek();
+            if (expiry_at >= now) break;
+            const identifier = this.#expiries.shift();
+
+            // Flush the event loop every max purge items per synchronous event loop tick
+            if (++count % this.options.max_purge_eloop_tick === 0) {
+                await new Promise((resolve) => setTimeout(resolve, 0));
+            }
+
+            // Skip the cached value if it no longer exists or has been written since it was indexed
+            const record = await this.cache.get(identifier);
+            if (!record) continue;
+            const purge_at = this._get_purge_at(record);
+            if (purge_at === undefined) continue;
+            if (purge_at >= now) {
+                this.#expiries.set(identifier, purge_at);
+                continue;
+            }
+
+            // Keep the stale value in the cache if a middleware vetoes its purge until it is read or written again
+            const args = this._parse_arguments(identifier);
+            if (!(await this._allows_purge(record, args))) continue;
+
+            // Emit a purge event with the stale value and the provided arguments
+            this.#stats.increment('purges', args);
+            this.emit('purge', record.value, ...args);
+
+            // Delete the stale cached value
+            if (this.#eviction) this.#eviction.remove(identifier);
+            this._forget_refresh(identifier);
+            await this.cache.delete(identifier);
+        }
+
+        // Schedule another purge if there are still more values remaining in the cache
+        const next_expiry_at = this.#expiries.peek();
+        if (next_expiry_at !== undefined && next_expiry_at < nearest_expiry_at) nearest_expiry_at = next_expiry_at;
+        if (nearest_expiry_at < Number.MAX_SAFE_INTEGER) this._schedule_purge(nearest_expiry_at);
+    }
+
+    /**
+     * Caches the provided lookup failure for the provided identifier if negative caching is enabled for its type.
+     *
+     * @private
+     * @param {string} identifier
+     * @param {Error} error
+     * @param {boolean} missing Whether the lookup returned no value instead of throwing an error.
+     * @param {...*} args
+     */
+    _set_failure(identifier, error, missing, ...args) {
+        // Ensure negative caching is enabled for this type of failure
+        const ttl = missing ? this.options.missing_ttl : this.options.error_ttl;
+        if (!ttl) return;
+
+        // Store the failure, index its expiry and schedule a cache cleanup for it
+        const updated_at = this.#clock.now();
+        this.failures.set(identifier, {
+            error,
+            missing,
+            ttl,
+            updated_at,
+        });
+        this.#failure_expiries.set(identifier, updated_at + ttl);
+        this._schedule_cache_cleanup(ttl);
+
+        // Emit an 'error' event with the cached error and the provided arguments
+        this._emit_error(error, ...args);
+    }
+
+    /**
+     * Returns the cached failure for the provided identifier if one exists and has not expired.
+     *
+     * @private
+     * @param {string} identifier
+     * @returns {FailureRecord=}
+     */
+    _get_failure(identifier) {
+        // Ensure a cached failure exists for this identifier
+        const failure = this.failures.get(identifier);
+        if (!failure) return;
+
+        // Forget the failure if it has expired
+        if (this.#clock.now() - failure.ttl > failure.updated_at) {
+            this.failures.delete(identifier);
+            return;
+        }
+
+        return failure;
+    }
+
+    /**
+     * Returns a Promise which replays the cached failure for the provided identifier if one exists and has not expired.
+     *
+     * @private
+     * @param {string} identifier
+     * @returns {Promise<T>=}
+     */
+    _replay_failure(identifier) {
+        const failure = this._get_failure(identifier);
+        if (!failure) return;
+
+        // Resolve the sentinel value for missing values if one is configured, otherwise replay the same error
+        if (failure.missing && this.options.missing_value !== undefined)
+            return Promise.resolve(this.options.missing_value);
+        return Promise.reject(failure.error);
+    }
+
+    /**
+     * Calls the lookup function with the provided arguments and retries failed attempts with an exponential backoff.
+     * Synchronous errors are always converted into rejections so callers are never resumed synchronously.
+     *
+     * @private
+     * @param {CallOptions} options
+     * @param {{controller?: AbortController}} flight The in-flight lookup.
+     * @param {Array} key_args The arguments which identify the cached value and its statistics.
+     * @param {...(SerializableArgumentTypes|Array<SerializableArgumentTypes>)} args The arguments to call the lookup function with.
+     * @returns {Promise<{value: T, duration: number}>} The value and the number of milliseconds the successful attempt took.
+     */
+    async _call_lookup(options, flight, key_args, ...args) {
+        const { retries, retry_delay, retry_max_delay, retry_jitter } = options;
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this._attempt_lookup(options, flight, args, key_args);
+            } catch (error) {
+                // Reject with the error once all retries have been exhausted or the in-flight lookup was aborted
+                if (attempt >= retries || (flight.controller && flight.controller.signal.aborted)) throw error;
+
+                // Determine the exponential backoff delay with an optional full jitter
+                let delay = Math.min(retry_max_delay, retry_delay * 2 ** attempt);
+                if (retry_jitter) delay = Math.round(Math.random() * delay);
+
+                // Emit a 'retry' event with the error, the upcoming attempt number and the provided arguments
+                this.emit('retry', error, attempt + 1, ...args);
+
+                // Wait for the backoff delay before the next attempt
+                await new Promise((resolve) => this.#clock.setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * Waits for a slot within the `max_concurrent` and `rate_limit` limits and emits 'queue' and 'dequeue' events if the lookup had to wait.
+     * Returns the function which releases the slot once the lookup has settled or nothing if the lookups are not limited.
+     * Returns a Promise only if the lookup has to wait so lookups which can start right away are called synchronously.
+     *
+     * @private
+     * @param {boolean=} background Whether the lookup is a background refresh which waits for foreground lookups.
+     * @param {AbortSignal=} signal The signal of the in-flight lookup if it can be aborted.
+     * @param {Array} args
+     * @param {Object=} owner The in-flight lookup which can be promoted to the foreground while it waits.
+     * @returns {(function():void)|undefined|Promise<function():void>}
+     */
+    _acquire_slot(background, signal, args, owner) {
+        if (!this.#limiter) return;
+
+        // Return the slot right away if one is available
+        const slot = this.#limiter.acquire(!!background, signal, owner);
+        if (typeof slot === 'function') return slot;
+
+        // Emit a 'queue' event with the queue depth and a 'dequeue' event with the wait time once the lookup can start
+        const queued_at = this.#clock.now();
+        this.emit('queue', this.#limiter.size, ...args);
+        return slot.then((release) => {
+            this.emit('dequeue', this.#clock.now() - queued_at, this.#limiter.size, ...args);
+            return release;
+        });
+    }
+
+    /**
+     * Calls the lookup function with the provided arguments or queues them for the next batch when batch mode is enabled.
+     *
+     * @private
+     * @param {Array<SerializableArgumentTypes|Array<SerializableArgumentTypes>>} args
+     * @param {AbortSignal=} signal The signal of the in-flight lookup if it can be aborted.
+     * @param {boolean=} background Whether the lookup is a background refresh.
+     * @returns {T|Promise<T>}
+     */
+    _invoke_lookup(args, signal, background) {
+        if (this.#batcher) return this.#batcher.load(args, signal, !!background);
+        return this.options.abortable ? this.lookup(...args, signal) : this.lookup(...args);
+    }
+
+    /**
+     * Makes a single attempt to resolve a value from the lookup function which is rejected if it does not settle within the `timeout` or the signal is aborted.
+     * The attempt first waits for a slot within the `max_concurrent` and `rate_limit` limits which is held until the attempt settles or gives up.
+     * The latency and the outcome of the attempt are recorded from the moment it acquired its slot unless it was aborted.
+     *
+     * @private
+     * @param {CallOptions} options
+     * @param {{controller?: AbortController}} flight The in-flight lookup.
+     * @param {Array<SerializableArgumentTypes|Array<SerializableArgumentTypes>>} args
+     * @param {Array} key_args The arguments which identify the statistics of the attempt.
+     * @returns {Promise<{value: T, duration: number}>} The value and the number of milliseconds the attempt took.
+     */
+    async _attempt_lookup(options, flight, args, key_args) {
+        const { timeout, background } = options;
+        const signal = flight.controller ? flight.controller.signal : undefined;
+
+        // Reject right away if the in-flight lookup has already been aborted
+        if (signal && signal.aborted) throw signal.reason;
+
+        // Wait for a slot within the limits unless batch mode limits the calls to the batch lookup function instead
+        let release = this.#batcher ? undefined : this._acquire_slot(background, signal, args, flight);
+        if (is_thenable(release)) release = await release;
+
+        // Call the lookup function
+        const started_at = this.#clock.now();
+        let lookup;
+        try {
+            lookup = Promise.resolve(this._invoke_lookup(args, signal, background));
+        } catch (error) {
+            lookup = Promise.reject(error);
+        }
+
+        // Race the lookup function against the timeout and the abort signal if the in-flight lookup can be aborted
+        let timer, on_abort;
+        const racers = [lookup];
+        if (signal)
+            racers.push(
+                new Promise((_, reject) => {
+                    on_abort = () => reject(signal.reason);
+                    signal.addEventListener('abort', on_abort, { once: true });
+                }),
+            );
+        if (timeout)
+            racers.push(
+                new Promise((_, reject) => {
+                    const message = `CachedLookup.fresh(${args.join(', ')}) -> The lookup function timed out after ${timeout}ms.`;
+                    timer = this.#clock.setTimeout(
+                        () => reject(new Error(message)),
+                        Math.min(timeout, 2147483647),
+                    );
+                }),
+            );
+        let value, error;
+        let failed = false;
+        try {
+            value = await Promise.race(racers);
+        } catch (e) {
+            failed = true;
+            error = e;
+        } finally {
+            this.#clock.clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', on_abort);
+        }
+
+        // Record the latency and the outcome of the attempt unless it was aborted
+        const duration = this.#clock.now() - started_at;
+        if (!signal || !signal.aborted) {
+            this.#stats.observe(duration, key_args);
+            this.#stats.increment('lookups', key_args);
+            if (failed) this.#stats.increment('failures', key_args);
+        }
+
+        // Release the slot once the attempt settles so a lookup function which never settles cannot block the other lookups
+        if (release) release();
+
+        if (failed) throw error;
+        return { value, duration };
     }
 
     /**
@@ -288,56 +1477,514 @@ class CachedLookup extends EventEmitter {
      *
      * @private
      * @param {string} identifier
-     * @param {number=} max_age
+     * @param {CallOptions=} options
      * @param {...(SerializableArgumentTypes|Array<SerializableArgumentTypes>)} args
      * @returns {Promise<T>}
      */
-    _get_fresh_value(identifier, max_age, ...args) {
-        // Resolve an already in-flight promise if one exists for this identifier
+    _get_fresh_value(identifier, options, ...args) {
+        // Wait for an already in-flight promise if one exists for this identifier
         const in_flight = this.promises.get(identifier);
-        if (in_flight) return in_flight;
+        if (in_flight) {
+            // Move a queued background refresh ahead of the other background lookups as a foreground caller now waits for it
+            const flight = this.#flights.get(identifier);
+            if (this.#limiter && flight && !options.background) this.#limiter.promote(flight);
+
+            this.#stats.increment('joins', args);
+
+            return this._wait_for_flight(identifier, in_flight, options.signal);
+        }
+
+        // Create an abort controller only if the lookup can be aborted by its callers giving up or by being expired
+        const controller = options.signal || this.options.abortable ? new AbortController() : undefined;
+        const aborted = () => controller !== undefined && controller.signal.aborted;
 
         // Initialize a new Promise to resolve the fresh value for this identifier
+        const flight = { controller, promise: undefined, waiting: 0, expired: false };
         const promise = new Promise(async (resolve, reject) => {
             // Attempt to resolve the value for the specified arguments from the lookup
-            let value, error;
+            let value, error, result, duration;
+            let written = false;
+            let negative = false;
             try {
-                value = await this.lookup(...args);
+                // Let the middlewares rewrite the arguments which the lookup function is called with
+                let lookup_args = this.#middlewares.transform('before_lookup', args);
+                if (is_thenable(lookup_args)) lookup_args = await lookup_args;
+                if (!Array.isArray(lookup_args))
+                    throw new Error(
+                        `CachedLookup.fresh(${args.join(', ')}) -> The before_lookup hook must return an Array of arguments.`,
+                    );
+
+                ({ value, duration } = await this._call_lookup(options, flight, args, ...lookup_args));
             } catch (e) {
                 error = e;
             }
 
-            // Delete the in-flight promise for this identifier
-            this.promises.delete(identifier);
-
-            // Check if a value was resolved from the lookup without any errors
-            if (value !== undefined) {
-                // Cache the fresh value for this identifier
-                this._set_in_cache(identifier, max_age, value);
+            // Unwrap the value and its metadata if the lookup function returned a result
+            if (value instanceof LookupResult) {
+                result = value;
+                value = result.value;
+            }
 
-                // Emit a 'fresh' event with the fresh value and the provided arguments
-                this.emit('fresh', value, ...args);
+            // Let the middlewares transform or reject the value resolved by the lookup function
+            if (!error && !aborted()) {
+                try {
+                    value = this.#middlewares.transform('after_lookup', value, args);
+                    if (is_thenable(value)) value = await value;
+                } catch (e) {
+                    value = undefined;
+                    error = e;
+                }
+            }
 
-                // Resolve the fresh value
-                resolve(value);
+            if (aborted()) {
+                // Do not cache anything from an aborted lookup
+                value = undefined;
+                error = controller.signal.reason;
+            } else if (value !== undefined) {
+                // Cache the fresh value unless a middleware refuses it and forget any previous failure as it has recovered
+                try {
+                    let allowed = this.#middlewares.allows('before_set', value, args);
+                    if (is_thenable(allowed)) allowed = await allowed;
+                    if (allowed && !flight.expired) {
+                        await this._set_in_cache(identifier, options, value, result, duration);
+                        written = true;
+                    }
+                    this.failures.delete(identifier);
+                } catch (e) {
+                    value = undefined;
+                    error = e;
+                }
             } else {
                 // Generate a new error if no value was resolved from the lookup
+                const missing = !error;
                 error =
                     error ||
                     new Error(
                         `CachedLookup.fresh(${args.join(', ')}) -> No value was returned by the lookup function.`,
                     );
 
+                // Cache the failure for this identifier if negative caching is enabled for this type of failure
+                if (!flight.expired) this._set_failure(identifier, error, missing, ...args);
+
+                // Resolve the sentinel value for a cached missing value just like the calls which replay it
+                const { missing_ttl, missing_value } = this.options;
+                negative = missing && missing_ttl > 0 && missing_value !== undefined;
+            }
+
+            // Delete the in-flight promise for this identifier unless it has already been replaced
+            if (this.promises.get(identifier) === promise) {
+                this.promises.delete(identifier);
+                this.#flights.delete(identifier);
+            }
+
+            // Stop tracking the reads of a lookup which cached nothing so failing lookups do not accumulate refreshes
+            const refresh = this.#refreshes.get(identifier);
+            if (!written && refresh && refresh.refresh_at === undefined) this.#refreshes.delete(identifier);
+
+            // Check if a value was resolved and cached without any errors
+            if (value !== undefined) {
+                // Emit a 'fresh' event with the fresh value and the provided arguments
+                this.emit('fresh', value, ...args);
+
+                // Resolve the fresh value
+                resolve(value);
+            } else if (negative) {
+                resolve(this.options.missing_value);
+            } else {
                 // Reject the fresh value promise with the error
                 reject(error);
             }
         });
 
         // Store the in-flight promise for this identifier so that future calls can re-use it
+        flight.promise = promise;
         this.promises.set(identifier, promise);
+        this.#flights.set(identifier, flight);
+
+        // Wait for the in-flight promise as the caller
+        return this._wait_for_flight(identifier, promise, options.signal);
+    }
+
+    /**
+     * Returns a Promise which settles with the provided in-flight promise or rejects once the provided signal is aborted.
+     * The in-flight lookup is aborted once every waiting caller has given up.
+     *
+     * @private
+     * @param {string} identifier
+     * @param {Promise<T>} promise
+     * @param {AbortSignal=} signal
+     * @returns {Promise<T>}
+     */
+    _wait_for_flight(identifier, promise, signal) {
+        // Track this caller as waiting for the in-flight lookup
+        const flight = this.#flights.get(identifier);
+        if (flight && flight.promise === promise) flight.waiting++;
+
+        // Callers without a signal never give up so they can simply wait for the in-flight promise
+        if (!signal) return promise;
+
+        // Stops waiting for the in-flight lookup and aborts it if this was the last waiting caller
+        const give_up = () => {
+            if (flight && flight.promise === promise && --flight.waiting === 0) {
+                // Prevent an unhandled rejection as there are no more callers waiting for the in-flight promise
+                promise.catch(() => {});
+                this._abort_flight(identifier);
+            }
+        };
+
+        // Give up right away if the signal has already been aborted
+        if (signal.aborted) {
+            give_up();
+            return Promise.reject(signal.reason);
+        }
+
+        return new Promise((resolve, reject) => {
+            const on_abort = () => {
+                give_up();
+                reject(signal.reason);
+            };
+            signal.addEventListener('abort', on_abort, { once: true });
+            promise.then(
+                (value) => {
+                    signal.removeEventListener('abort', on_abort);
+                    resolve(value);
+                },
+                (error) => {
+                    signal.removeEventListener('abort', on_abort);
+                    reject(error);
+                },
+            );
+        });
+    }
+
+    /**
+     * Aborts the in-flight lookup for the provided identifier and frees its in-flight promise so future calls start a new lookup.
+     *
+     * @private
+     * @param {string} identifier
+     * @param {*} [reason]
+     * @returns {boolean} Whether an in-flight lookup was aborted.
+     */
+    _abort_flight(identifier, reason) {
+        const flight = this.#flights.get(identifier);
+        if (!flight) return false;
+
+        // Free the in-flight promise and abort the signal of the lookup if it has one
+        this.#flights.delete(identifier);
+        if (this.promises.get(identifier) === flight.promise) this.promises.delete(identifier);
+        if (flight.controller) flight.controller.abort(reason);
+        return true;
+    }
+
+    /**
+     * Aborts the in-flight lookup for the provided identifier as it was expired if `abortable` is enabled.
+     * Otherwise the lookup is left to resolve its waiting callers without caching its result while future calls start a new lookup.
+     *
+     * @private
+     * @param {string} identifier
+     * @param {Error} reason
+     */
+    _expire_flight(identifier, reason) {
+        if (this.options.abortable) {
+            this._abort_flight(identifier, reason);
+            return;
+        }
+
+        const flight = this.#flights.get(identifier);
+        if (!flight) return;
+        flight.expired = true;
+        this.#flights.delete(identifier);
+        if (this.promises.get(identifier) === flight.promise) this.promises.delete(identifier);
+    }
+
+    /**
+     * Returns the provided value or its cache metadata if the caller requested it.
+     *
+     * @private
+     * @param {boolean} with_meta
+     * @param {CacheStatus} status
+     * @param {T} value
+     * @param {CachedRecord|FailureRecord=} record The record which holds the value if one exists.
+     * @param {number=} max_age The maximum age requested by the caller.
+     * @returns {T|CacheResult<T>}
+     */
+    _describe(with_meta, status, value, record, max_age) {
+        if (!with_meta) return value;
+
+        const updated_at = record ? record.updated_at : this.#clock.now();
+        return {
+            value,
+            status,
+            age: Math.max(0, this.#clock.now() - updated_at),
+            updated_at,
+            max_age: record ? this._get_max_age(record, max_age) : max_age,
+        };
+    }
+
+    /**
+     * Resolves a fresh value for the provided identifier with a 'miss' status or a 'shared' status if it joins an in-flight lookup.
+     * Replays the cached failure for the provided identifier instead if one exists.
+     *
+     * @private
+     * @param {string} identifier
+     * @param {CallOptions} options
+     * @param {Array} args
+     * @param {boolean} with_meta
+     * @returns {Promise<T|CacheResult<T>>}
+     */
+    _resolve_fresh(identifier, options, args, with_meta) {
+        // Replay the cached failure for the provided arguments if one exists
+        const failure = this._replay_failure(identifier);
+        if (failure) {
+            if (!with_meta) return failure;
+
+            // Describe the missing value with the failure record as it holds the age and the ttl of the missing value
+            const record = this._get_failure(identifier);
+            return failure.then((value) => this._describe(true, 'negative', value, record, options.max_age));
+        }
+
+        // Resolve the fresh value and describe it with the cached value record it was stored in
+        const status = this.promises.has(identifier) ? 'shared' : 'miss';
+        const promise = this._get_fresh_value(identifier, options, ...args);
+        if (!with_meta) return promise;
+        return promise.then((value) => {
+            // Describe a missing value with the failure record which was cached for it
+            const failure = value === this.options.missing_value ? this._get_failure(identifier) : undefined;
+            if (failure && failure.missing) return this._describe(true, 'negative', value, failure, options.max_age);
+
+            return chain(this.cache.get(identifier), (record) =>
+                this._describe(true, status, value, record, options.max_age),
+            );
+        });
+    }
+
+    /**
+     * Resolves the expired cached value for the provided identifier if it is still within its `stale_if_error` or `stale_ttl` window.
+     * Otherwise, rejects with the provided error from the failed fresh lookup.
+     *
+     * @private
+     * @param {string} identifier
+     * @param {CallOptions} options
+     * @param {Error} error
+     * @param {Array} args
+     * @param {boolean} [with_meta=false]
+     * @returns {T|CacheResult<T>|Promise<T|CacheResult<T>>}
+     */
+    _serve_stale_if_error(identifier, options, error, args, with_meta = false) {
+        return chain(this._get_from_cache(identifier), (record) => {
+            // Ensure the caller has not given up and the expired cached value is still within its stale window
+            if (!record || options.signal?.aborted) throw error;
+            const stale_window = this._get_stale_window(record, options.stale_if_error);
+            const expired_at = record.updated_at + this._get_max_age(record, options.max_age);
+            if (!stale_window || this.#clock.now() - stale_window > expired_at) throw error;
+
+            // Emit a 'stale' event with the degraded value, the error and the provided arguments
+            this.#stats.increment('stale', args);
+            this._notify_hit(record, 'stale', args);
+            this.emit('stale', record.value, error, ...args);
+            return this._describe(with_meta, 'stale', record.value, record, options.max_age);
+        });
+    }
+
+    /**
+     * Resolves the `cached` value or its cache metadata for the provided arguments.
+     *
+     * @private
+     * @param {string} method
+     * @param {Number|CallOptions} max_age
+     * @param {Array} args
+     * @param {boolean} with_meta
+     * @returns {Promise<T|CacheResult<T>>}
+     */
+    _cached(method, max_age, args, with_meta) {
+        const options = this._parse_call_options(method, 'max_age', max_age);
+
+        // Serialize the arguments into an identifier
+        const identifier = this._serialize_arguments(args);
+
+        // Attempt to resolve a copy of the cached value from the cached value record
+        const result = Promise.resolve(
+            chain(this._get_from_cache(identifier, options.max_age), (record) => {
+                // Track the read for refreshing the cached value ahead of its expiry
+                this._track_read(identifier, options, args, record);
+                this.#stats.increment(record ? 'hits' : 'misses', args);
+                if (record) {
+                    this._notify_hit(record, 'hit', args);
+                    this._refresh_early(identifier, options, args, record);
+                    return this._describe(with_meta, 'hit', record.value, record, options.max_age);
+                }
+
+                // Replay the cached failure or resolve the fresh value for the provided arguments
+                const promise = this._resolve_fresh(identifier, options, args, with_meta);
+
+                // Fall back to the expired cached value if the lookup fails within its stale window
+                return promise.catch((error) =>
+                    this._serve_stale_if_error(identifier, options, error, args, with_meta),
+                );
+            }),
+        );
+        return this._copy_result(result, with_meta);
+    }
+
+    /**
+     * Resolves the `rolling` value or its cache metadata for the provided arguments.
+     *
+     * @private
+     * @param {string} method
+     * @param {Number|CallOptions} target_age
+     * @param {Array} args
+     * @param {boolean} with_meta
+     * @returns {Promise<T|CacheResult<T>>}
+     */
+    _rolling(method, target_age, args, with_meta) {
+        const options = this._parse_call_options(method, 'target_age', target_age);
+        target_age = options.max_age;
+
+        // Serialize the arguments into an identifier
+        const identifier = this._serialize_arguments(args);
+
+        // Attempt to resolve a copy of the cached value from the cached value record
+        const result = Promise.resolve(
+            chain(this._get_from_cache(identifier, target_age), (record) => {
+                // Track the read for refreshing the cached value ahead of its expiry
+                this._track_read(identifier, options, args, record);
+                if (record) {
+                    this.#stats.increment('hits', args);
+                    this._notify_hit(record, 'hit', args);
+                    this._refresh_early(identifier, options, args, record);
+                    return this._describe(with_meta, 'hit', record.value, record, target_age);
+                }
+
+                // Lookup the cached value for the provided arguments
+                return chain(this._get_from_cache(identifier), (cached) => {
+                    // Ignore the cached value if it has aged past the stale lifetime decided by the lookup function
+                    if (cached && cached.stale_ttl !== undefined) {
+                        const max_age = this._get_max_age(cached, target_age);
+                        if (this.#clock.now() - max_age - cached.stale_ttl > cached.updated_at) cached = undefined;
+                    }
+
+                    if (cached) {
+                        // Check if the cached value is stale for the provided target_age or its own ttl
+                        const stale = this.#clock.now() - this._get_max_age(cached, target_age) > cached.updated_at;
+                        if (stale) this._refresh_in_background(identifier, options, args);
+
+                        // Resolve the stale cached value for the provided arguments while a fresh value is being fetched in the background
+                        this.#stats.increment(stale ? 'stale' : 'hits', args);
+                        this._notify_hit(cached, stale ? 'stale' : 'hit', args);
+                        return this._describe(with_meta, stale ? 'stale' : 'hit', cached.value, cached, target_age);
+                    } else {
+                        // Replay the cached failure or resolve a fresh value as there is no cached value available
+                        this.#stats.increment('misses', args);
+                        return this._resolve_fresh(identifier, options, args, with_meta);
+                    }
+                });
+            }),
+        );
+        return this._copy_result(result, with_meta);
+    }
+
+    /**
+     * Triggers a background lookup for the provided arguments if one is not already in-flight or recently failed.
+     *
+     * @private
+     * @param {string} identifier
+     * @param {CallOptions} options
+     * @param {Array} args
+     */
+    _refresh_in_background(identifier, options, args) {
+        if (this.promises.has(identifier) || this._get_failure(identifier)) return;
+        this._get_fresh_value(identifier, { ...options, signal: undefined, background: true }, ...args).catch((error) =>
+            this._emit_error(error, ...args),
+        );
+    }
+
+    /**
+     * Refreshes the provided fresh cached value early in the background with the XFetch probability when `early_refresh` is enabled.
+     * The closer the cached value is to its expiry and the longer its last lookup took, the more likely it is refreshed early.
+     *
+     * @private
+     * @param {string} identifier
+     * @param {CallOptions} options
+     * @param {Array} args
+     * @param {CachedRecord} record
+     */
+    _refresh_early(identifier, options, args, record) {
+        const { early_refresh } = this.options;
+        if (!early_refresh || !record.duration) return;
+
+        // Refresh the cached value if its expiry falls within a random gap weighted by its lookup duration
+        const max_age = this._get_max_age(record, options.max_age);
+        if (max_age === undefined) return;
+        const { beta = 1 } = early_refresh === true ? {} : early_refresh;
+        const gap = -record.duration * beta * Math.log(Math.random());
+        if (this.#clock.now() + gap >= record.updated_at + max_age)
+            this._refresh_in_background(identifier, options, args);
+    }
+
+    /**
+     * Calls the `on_hit` hooks of the middlewares with the served cached value and emits any errors they throw.
+     *
+     * @private
+     * @param {CachedRecord} record
+     * @param {('hit'|'stale')} status
+     * @param {Array} args
+     */
+    _notify_hit(record, status, args) {
+        this.#middlewares.notify('on_hit', (error) => this._emit_error(error, ...args), record.value, status, args);
+    }
+
+    /**
+     * Returns a copy of the provided value for a caller when the `clone` option copies cached values on read.
+     * The `missing_value` is never copied so callers can compare it by reference.
+     *
+     * @private
+     * @param {T} value
+     * @returns {T}
+     */
+    _copy(value) {
+        const { clone, missing_value } = this.options;
+        if (value === undefined || value === missing_value) return value;
+        if (typeof clone === 'function') return clone(value);
+        if (clone === 'structured') return structuredClone(value);
+        return value;
+    }
+
+    /**
+     * Resolves the provided value or its cache metadata with a copy of the value when the `clone` option copies cached values on read.
+     *
+     * @private
+     * @param {Promise<T|CacheResult<T>>} result
+     * @param {boolean} with_meta
+     * @returns {Promise<T|CacheResult<T>>}
+     */
+    _copy_result(result, with_meta) {
+        const { clone } = this.options;
+        if (clone !== 'structured' && typeof clone !== 'function') return result;
+        return result.then((resolved) =>
+            with_meta ? { ...resolved, value: this._copy(resolved.value) } : this._copy(resolved),
+        );
+    }
+
+    /**
+     * Adds the provided middleware whose hooks run around the lookups, writes, hits and purges of this instance.
+     * Hooks run in the order their middlewares were added and may return a Promise except for `on_hit`.
+     *
+     * @param {Middleware} middleware
+     * @returns {this}
+     */
+    use(middleware) {
+        // Ensure the middleware is an object which implements at least one hook
+        if (!middleware || typeof middleware !== 'object')
+            throw new Error('CachedLookup.use(middleware) -> middleware must be an Object.');
+        if (!HOOKS.some((name) => middleware[name] !== undefined))
+            throw new Error(`CachedLookup.use(middleware) -> middleware must implement one of ${HOOKS.join(', ')}.`);
+        for (const name of HOOKS) {
+            if (middleware[name] !== undefined && typeof middleware[name] !== 'function')
+                throw new Error(`CachedLookup.use(middleware) -> middleware.${name} must be a Function.`);
+        }
 
-        // Return the in-flight promise to the caller
-        return promise;
+        this.#middlewares.add(middleware);
+        return this;
     }
 
     /**
@@ -345,66 +1992,78 @@ class CachedLookup extends EventEmitter {
      * Otherwise, It will fetch a fresh value and update the cache in the background.
      * Use this method over `rolling` if you want to guarantee that the cached value is at most `max_age` milliseconds old at the cost of increased latency whenever a `fresh` value is fetched on a cache miss.
      *
-     * @param {Number} max_age In Milliseconds
+     * @param {Number|CallOptions} max_age In Milliseconds
      * @param {...(SerializableArgumentTypes|Array<SerializableArgumentTypes>)} args
      * @returns {Promise<T>}
      */
     cached(max_age, ...args) {
-        if (typeof max_age !== 'number' || isNaN(max_age) || max_age < 0 || max_age > Number.MAX_SAFE_INTEGER)
-            throw new Error('CachedLookup.cached(max_age) -> max_age must be a valid number.');
-
-        // Serialize the arguments into an identifier
-        const identifier = args.join(this.#delimiter);
-
-        // Attempt to resolve the cached value from the cached value record
-        const record = this._get_from_cache(identifier, max_age);
-        if (record) return Promise.resolve(record.value);
+        return this._cached('cached', max_age, args, false);
+    }
 
-        // Resolve the fresh value for the provided arguments in array serialization
-        return this._get_fresh_value(identifier, max_age, ...args);
+    /**
+     * Same as `cached()` but resolves the value with its cache metadata such as its status and age.
+     *
+     * @param {Number|CallOptions} max_age In Milliseconds
+     * @param {...(SerializableArgumentTypes|Array<SerializableArgumentTypes>)} args
+     * @returns {Promise<CacheResult<T>>}
+     */
+    cached_with_meta(max_age, ...args) {
+        return this._cached('cached_with_meta', max_age, args, true);
     }
 
     /**
      * Returns the most up to date `cached` value even if stale if one is available and automatically fetches a fresh value to ensure the cache is as up to date as possible to the `max_age` provided in milliseconds.
      * Use this method over `cached` if you want lower latency at the cost of a temporarily stale cached value while a `fresh` value is being fetched in the background.
      *
-     * @param {Number} target_age In Milliseconds
+     * @param {Number|CallOptions} target_age In Milliseconds
      * @param {...(SerializableArgumentTypes|Array<SerializableArgumentTypes>)} args
      * @returns {Promise<T>}
      */
     rolling(target_age, ...args) {
-        if (
-            typeof target_age !== 'number' ||
-            isNaN(target_age) ||
-            target_age < 0 ||
-            target_age > Number.MAX_SAFE_INTEGER
-        )
-            throw new Error('CachedLookup.rolling(target_age) -> target_age must be a valid number.');
+        return this._rolling('rolling', target_age, args, false);
+    }
 
-        // Serialize the arguments into an identifier
-        const identifier = args.join(this.#delimiter);
-
-        // Attempt to resolve the cached value from the cached value record
-        const record = this._get_from_cache(identifier, target_age);
-        if (record) return Promise.resolve(record.value);
-
-        // Lookup the cached value for the provided arguments
-        const cached = this._get_from_cache(identifier);
-        if (cached) {
-            // Check if the cached value is stale for the provided target_age
-            const stale = Date.now() - target_age > cached.updated_at;
-            if (stale) {
-                // Trigger a fresh lookup for the provided arguments if one is not already in-flight
-                const in_flight = this.promises.has(identifier);
-                if (!in_flight) this._get_fresh_value(identifier, target_age, ...args);
-            }
+    /**
+     * Same as `rolling()` but resolves the value with its cache metadata such as its status and age.
+     *
+     * @param {Number|CallOptions} target_age In Milliseconds
+     * @param {...(SerializableArgumentTypes|Array<SerializableArgumentTypes>)} args
+     * @returns {Promise<CacheResult<T>>}
+     */
+    rolling_with_meta(target_age, ...args) {
+        return this._rolling('rolling_with_meta', target_age, args, true);
+    }
 
-            // Resolve the stale cached value for the provided arguments while a fresh value is being fetched in the background
-            return Promise.resolve(cached.value);
-        } else {
-            // Resolve a fresh value for the provided arguments as there is no cached value available
-            return this._get_fresh_value(identifier, target_age, ...args);
-        }
+    /**
+     * Returns the `cached` values for each of the provided sets of arguments in the same order.
+     * The cache misses are resolved together with a single call to the batch lookup function when batch mode is enabled.
+     *
+     * @param {Number|CallOptions} max_age In Milliseconds
+     * @param {Array<Array<SerializableArgumentTypes|Array<SerializableArgumentTypes>>>} args_list
+     * @returns {Promise<T[]>}
+     */
+    cached_many(max_age, args_list) {
+        if (!Array.isArray(args_list) || !args_list.every(Array.isArray))
+            throw new Error('CachedLookup.cached_many(max_age, args_list) -> args_list must be an Array of Arrays.');
+
+        return Promise.all(args_list.map((args) => this.cached(max_age, ...args)));
+    }
+
+    /**
+     * Returns the `rolling` values for each of the provided sets of arguments in the same order.
+     * The cache misses are resolved together with a single call to the batch lookup function when batch mode is enabled.
+     *
+     * @param {Number|CallOptions} target_age In Milliseconds
+     * @param {Array<Array<SerializableArgumentTypes|Array<SerializableArgumentTypes>>>} args_list
+     * @returns {Promise<T[]>}
+     */
+    rolling_many(target_age, args_list) {
+        if (!Array.isArray(args_list) || !args_list.every(Array.isArray))
+            throw new Error(
+                'CachedLookup.rolling_many(target_age, args_list) -> args_list must be an Array of Arrays.',
+            );
+
+        return Promise.all(args_list.map((args) => this.rolling(target_age, ...args)));
     }
 
     /**
@@ -415,29 +2074,214 @@ class CachedLookup extends EventEmitter {
      * @returns {Promise<T>}
      */
     fresh(...args) {
-        // Resolve the fresh value for the provided serialized arguments
-        return this._get_fresh_value(args.join(this.#delimiter), undefined, ...args);
+        // Resolve a copy of the fresh value for the provided serialized arguments
+        const options = this._resolve_call_options('fresh', {});
+        return this._copy_result(this._get_fresh_value(this._serialize_arguments(args), options, ...args), false);
+    }
+
+    /**
+     * Fetches and returns a fresh value for the provided set of arguments with the provided per-call options.
+     * Note! The per-call options of the first caller apply to a fresh value which is already in-flight.
+     *
+     * @param {Object} options
+     * @param {number} [options.timeout] - Overrides the `timeout` constructor option for this call.
+     * @param {number} [options.retries] - Overrides the `retries` constructor option for this call.
+     * @param {number} [options.retry_delay] - Overrides the `retry_delay` constructor option for this call.
+     * @param {number} [options.retry_max_delay] - Overrides the `retry_max_delay` constructor option for this call.
+     * @param {boolean} [options.retry_jitter] - Overrides the `retry_jitter` constructor option for this call.
+     * @param {...(SerializableArgumentTypes|Array<SerializableArgumentTypes>)} args
+     * @returns {Promise<T>}
+     */
+    fresh_with(options, ...args) {
+        if (!options || typeof options !== 'object')
+            throw new Error('CachedLookup.fresh_with(options) -> options must be an Object.');
+
+        // Resolve the fresh value for the provided serialized arguments without a max_age
+        options = this._resolve_call_options('fresh_with', { ...options, max_age: undefined });
+        return this._copy_result(this._get_fresh_value(this._serialize_arguments(args), options, ...args), false);
     }
 
     /**
      * Returns the cached value for the provided set of arguments if it exists.
+     * Note! Returns a Promise if the store is asynchronous.
+     *
      * @param  {...(SerializableArgumentTypes|Array<SerializableArgumentTypes>)} args
-     * @returns {T=}
+     * @returns {T|undefined|Promise<T|undefined>}
      */
     get(...args) {
-        // Return the cached value for the specified arguments
-        return this.cache.get(args.join(this.#delimiter))?.value;
+        // Return a copy of the cached value for the specified arguments
+        return chain(this._get_from_cache(this._serialize_arguments(args)), (record) => this._copy(record?.value));
     }
 
     /**
      * Expires the cached value for the provided set of arguments.
+     * Note! The cached value is also expired in the other instances on the bus.
+     * Note! Returns a Promise if the store is asynchronous.
      *
      * @param {...(SerializableArgumentTypes|Array<SerializableArgumentTypes>)} args
-     * @returns {boolean} Returns `true` if the cache value was expired, `false` otherwise.
+     * @returns {boolean|Promise<boolean>} Returns `true` if the cache value was expired, `false` otherwise.
      */
     expire(...args) {
+        // Expire the cached value for the specified arguments in this instance and the other instances on the bus
+        const identifier = this._serialize_arguments(args);
+        this._publish('expire', { identifier });
+        return this._expire(identifier, args);
+    }
+
+    /**
+     * Expires the cached value for the provided identifier in this instance only.
+     * Note! Returns a Promise if the store is asynchronous.
+     *
+     * @private
+     * @param {string} identifier
+     * @param {Array} args
+     * @returns {boolean|Promise<boolean>}
+     */
+    _expire(identifier, args) {
         // Remove the cached value record for the specified arguments
-        return this.cache.delete(args.join(this.#delimiter));
+        if (this.#eviction) this.#eviction.remove(identifier);
+        this.failures.delete(identifier);
+        this._forget_refresh(identifier);
+        this.#expiries.delete(identifier);
+        this._expire_flight(
+            identifier,
+            new Error(`CachedLookup.expire(${args.join(', ')}) -> The in-flight lookup was aborted as it was expired.`),
+        );
+        return this.cache.delete(identifier);
+    }
+
+    /**
+     * Expires all cached values which match the provided predicate and emits an 'expire' event for each of them.
+     * Any in-flight lookups for the expired cached values are also expired so they cannot write their values back.
+     * Note! Returns a Promise if the store is asynchronous.
+     *
+     * @private
+     * @param {function(string, CachedRecord):boolean} matches
+     * @param {string} method The call which expires the cached values for the reason of aborted in-flight lookups.
+     * @returns {number|Promise<number>} The number of expired cached values.
+     */
+    _expire_matching(matches, method) {
+        // Collect the matching cached values before removing them so the store is not modified while it is iterated
+        const expired = [];
+        return chain(
+            for_each(this.cache.entries(), ([identifier, record]) => {
+                if (matches(identifier, record)) expired.push([identifier, record]);
+            }),
+            () => {
+                const pending = [];
+                for (const [identifier, record] of expired) {
+                    // Emit an expire event with the expired value and the provided arguments
+                    this.emit('expire', record.value, ...this._parse_arguments(identifier));
+
+                    // Expire any in-flight lookup for the expired cached value
+                    if (this.#flights.has(identifier))
+                        this._expire_flight(
+                            identifier,
+                            new Error(`CachedLookup.${method} -> The in-flight lookup was aborted as it was expired.`),
+                        );
+
+                    // Delete the expired cached value
+                    if (this.#eviction) this.#eviction.remove(identifier);
+                    this.failures.delete(identifier);
+                    this._forget_refresh(identifier);
+                    this.#expiries.delete(identifier);
+                    const result = this.cache.delete(identifier);
+                    if (is_thenable(result)) pending.push(result);
+                }
+
+                // Wait for any asynchronous deletes to complete
+                if (pending.length) return Promise.all(pending).then(() => expired.length);
+                return expired.length;
+            },
+        );
+    }
+
+    /**
+     * Expires all cached values for which the provided predicate returns `true` when called with the cached value and its arguments.
+     * Note! Returns a Promise if the store is asynchronous.
+     *
+     * @param {function(T, ...*):boolean} predicate
+     * @returns {number|Promise<number>} The number of expired cached values.
+     */
+    expire_where(predicate) {
+        if (typeof predicate !== 'function')
+            throw new Error('CachedLookup.expire_where(predicate) -> predicate must be a Function.');
+
+        return this._expire_matching(
+            (identifier, record) => predicate(record.value, ...this._parse_arguments(identifier)),
+            'expire_where(predicate)',
+        );
+    }
+
+    /**
+     * Expires all cached values whose arguments start with the provided set of arguments.
+     * Note! Any in-flight lookups and cached failures for matching arguments are also expired.
+     * Note! The cached values are also expired in the other instances on the bus.
+     * Note! Returns a Promise if the store is asynchronous.
+     *
+     * @param {...(SerializableArgumentTypes|Array<SerializableArgumentTypes>)} prefix
+     * @returns {number|Promise<number>} The number of expired cached values.
+     */
+    expire_prefix(...prefix) {
+        this._publish('expire_prefix', { prefix });
+        return this._expire_prefix(prefix);
+    }
+
+    /**
+     * Expires all cached values whose arguments start with the provided set of arguments in this instance only.
+     * Note! Returns a Promise if the store is asynchronous.
+     *
+     * @private
+     * @param {Array} prefix
+     * @returns {number|Promise<number>}
+     */
+    _expire_prefix(prefix) {
+        const expected = this._serialize_arguments(prefix);
+        const matches = (identifier) =>
+            this._serialize_arguments(this._parse_arguments(identifier).slice(0, prefix.length)) === expected;
+
+        // Expire any in-flight lookups and forget any cached failures for matching arguments
+        for (const identifier of Array.from(this.#flights.keys()))
+            if (matches(identifier))
+                this._expire_flight(
+                    identifier,
+                    new Error(
+                        `CachedLookup.expire_prefix(${prefix.join(', ')}) -> The in-flight lookup was aborted as it was expired.`,
+                    ),
+                );
+        for (const identifier of Array.from(this.failures.keys()))
+            if (matches(identifier)) this.failures.delete(identifier);
+
+        return this._expire_matching(matches, `expire_prefix(${prefix.join(', ')})`);
+    }
+
+    /**
+     * Expires all cached values which were tagged with the provided tag by the lookup function through `CachedLookup.result()`.
+     * Note! The cached values are also expired in the other instances on the bus.
+     * Note! Returns a Promise if the store is asynchronous.
+     *
+     * @param {string} tag
+     * @returns {number|Promise<number>} The number of expired cached values.
+     */
+    expire_tag(tag) {
+        if (typeof tag !== 'string') throw new Error('CachedLookup.expire_tag(tag) -> tag must be a String.');
+        this._publish('expire_tag', { tag });
+        return this._expire_tag(tag);
+    }
+
+    /**
+     * Expires all cached values which were tagged with the provided tag in this instance only.
+     * Note! Returns a Promise if the store is asynchronous.
+     *
+     * @private
+     * @param {string} tag
+     * @returns {number|Promise<number>}
+     */
+    _expire_tag(tag) {
+        return this._expire_matching(
+            (identifier, record) => Array.isArray(record.tags) && record.tags.includes(tag),
+            `expire_tag(${tag})`,
+        );
     }
 
     /**
@@ -448,26 +2292,323 @@ class CachedLookup extends EventEmitter {
      */
     in_flight(...args) {
         // Return true if there is a promise for the specified arguments
-        return this.promises.has(args.join(this.#delimiter));
+        return this.promises.has(this._serialize_arguments(args));
     }
 
     /**
      * Returns the timestamp in `milliseconds` since the UNIX epoch when the cached value for the provided set of arguments was last updated if it exists.
+     * Note! Returns a Promise if the store is asynchronous.
      *
      * @param {...(SerializableArgumentTypes|Array<SerializableArgumentTypes>)} args
-     * @returns {number=}
+     * @returns {number|undefined|Promise<number|undefined>}
      */
     updated_at(...args) {
         // Return the updated_at timestamp for the specified arguments
-        return this.cache.get(args.join(this.#delimiter))?.updated_at;
+        return chain(this.cache.get(this._serialize_arguments(args)), (record) => record?.updated_at);
+    }
+
+    /**
+     * Returns the counters and the lookup latency histogram of this instance and of each key prefix when `stats_prefix` is enabled.
+     * Use `CachedLookup.format_prometheus()` to render the statistics in the Prometheus text exposition format.
+     *
+     * @returns {StatsSnapshot}
+     */
+    stats() {
+        return this.#stats.snapshot();
+    }
+
+    /**
+     * Returns a serializable snapshot of all cached values which can be restored with `load()` for warm starts.
+     * The arguments of each cached value are encoded with the built-in serializer so arguments which JSON cannot represent survive `JSON.stringify()`.
+     * Note! Returns a Promise if the store is asynchronous.
+     *
+     * @param {Object} [options]
+     * @param {ValueSerializer} [options.serializer] - Overrides the `serializer` constructor option.
+     * @returns {CacheSnapshot|Promise<CacheSnapshot>}
+     */
+    dump(options = {}) {
+        const { serialize } = options.serializer || this.options.serializer || {};
+        const entries = [];
+        return chain(
+            for_each(this.cache.entries(), ([identifier, record]) =>
+                entries.push({
+                    ...record,
+                    identifier,
+                    args: serializer.serialize(this._parse_arguments(identifier)),
+                    value: serialize ? serialize(record.value) : record.value,
+                }),
+            ),
+            () => ({ version: 1, entries }),
+        );
+    }
+
+    /**
+     * Restores the cached values from a snapshot created with `dump()` while respecting their original ages.
+     * Cached values which have aged past their purge age are dropped and the rest are scheduled for purging from their original `updated_at`.
+     * Cached values which are older than an existing cached value for the same arguments are skipped.
+     * Note! Returns a Promise if the store is asynchronous.
+     *
+     * @param {CacheSnapshot} snapshot
+     * @param {Object} [options]
+     * @param {ValueSerializer} [options.serializer] - Overrides the `serializer` constructor option.
+     * @returns {number|Promise<number>} The number of restored cached values.
+     */
+    load(snapshot, options = {}) {
+        if (!snapshot || typeof snapshot !== 'object' || !Array.isArray(snapshot.entries))
+            throw new Error('CachedLookup.load(snapshot) -> snapshot must be an Object with an entries Array.');
+
+        const { deserialize } = options.serializer || this.options.serializer || {};
+        const now = this.#clock.now();
+        const pending = [];
+        let count = 0;
+        for (const entry of snapshot.entries) {
+            const { identifier: _, args, value, ...properties } = entry;
+
+            // Drop the cached value if it has aged past its purge age
+            const purge_at = this._get_purge_at(entry);
+            if (purge_at !== undefined && now > purge_at) continue;
+
+            // Restore the cached value unless a more up to date cached value already exists
+            const identifier =
+                entry.identifier !== undefined
+                    ? entry.identifier
+                    : this._serialize_arguments(serializer.deserialize(args));
+            const result = chain(this.cache.get(identifier), (existing) => {
+                if (existing && existing.updated_at >= properties.updated_at) return;
+
+                count++;
+                return this._write_record(identifier, {
+                    ...properties,
+                    value: deserialize ? deserialize(value) : value,
+                });
+            });
+            if (result) pending.push(result);
+        }
+
+        // Wait for any asynchronous writes to complete
+        if (pending.length) return Promise.all(pending).then(() => count);
+        return count;
     }
 
     /**
      * Clears the lookup instance by removing all cached values from the cache.
+     * Note! The other instances on the bus are also cleared.
+     * Note! Returns a Promise if the store is asynchronous.
+     *
+     * @returns {void|Promise<void>}
      */
     clear() {
-        this.cache.clear();
+        this._publish('clear', {});
+        return this._clear();
+    }
+
+    /**
+     * Removes all cached values from the cache of this instance only.
+     * Note! Returns a Promise if the store is asynchronous.
+     *
+     * @private
+     * @returns {void|Promise<void>}
+     */
+    _clear() {
+        if (this.#eviction) this.#eviction.clear();
+        this.failures.clear();
+        this.#failure_expiries.clear();
+        this.#refreshes.clear();
+        this.#refresh_index.clear();
+        this.#expiries.clear();
+        for (const identifier of Array.from(this.#flights.keys()))
+            this._expire_flight(
+                identifier,
+                new Error('CachedLookup.clear() -> The in-flight lookup was aborted as the cache was cleared.'),
+            );
+        return this.cache.clear();
+    }
+
+    /**
+     * Publishes an invalidation message with the provided action to the other instances on the bus if a bus is provided.
+     * Errors thrown by the transport are emitted as 'error' events.
+     *
+     * @private
+     * @param {('expire'|'expire_prefix'|'expire_tag'|'clear'|'fresh')} action
+     * @param {Object} payload
+     */
+    _publish(action, payload) {
+        if (!this.#bus) return;
+
+        const { transport, namespace, origin } = this.#bus;
+        try {
+            this._catch(transport.publish({ namespace, origin, action, ...payload }));
+        } catch (error) {
+            this._emit_error(error);
+        }
+    }
+
+    /**
+     * Applies an invalidation message received from another instance on the bus to this instance only.
+     * Messages from other namespaces and from this instance are ignored and received messages are never published again.
+     *
+     * @private
+     * @param {InvalidationMessage} message
+     */
+    _receive(message) {
+        if (!message || !this.#bus || message.namespace !== this.#bus.namespace || message.origin === this.#bus.origin)
+            return;
+
+        try {
+            const { action, identifier, prefix, tag, record } = message;
+            switch (action) {
+                case 'expire':
+                    return this._catch(this._expire(identifier, this._parse_arguments(identifier)));
+                case 'expire_prefix':
+                    return this._catch(this._expire_prefix(prefix));
+                case 'expire_tag':
+                    return this._catch(this._expire_tag(tag));
+                case 'clear':
+                    return this._catch(this._clear());
+                case 'fresh': {
+                    // Store the fresh value unless a more up to date cached value already exists
+                    const { deserialize } = this.options.serializer || {};
+                    const value = deserialize ? deserialize(record.value) : record.value;
+                    return this._catch(
+                        chain(this.cache.get(identifier), (existing) => {
+                            if (existing && existing.updated_at >= record.updated_at) return;
+                            this.failures.delete(identifier);
+                            return this._write_record(identifier, { ...record, value });
+                        }),
+                    );
+                }
+            }
+        } catch (error) {
+            this._emit_error(error);
+        }
+    }
+
+    /**
+     * Stops receiving invalidation messages from the other instances on the bus.
+     * Note! The transport itself is not closed as it may be shared with other instances.
+     */
+    close() {
+        if (!this.#bus || !this.#bus.unsubscribe) return;
+        this.#bus.unsubscribe();
+        this.#bus.unsubscribe = null;
+    }
+
+    /**
+     * Shuts down this instance by closing its bus, cancelling its pending maintenance and waiting for its in-flight lookups to settle.
+     * Note! Cached values are still served but no longer purged or refreshed ahead of their expiry after a shutdown.
+     *
+     * @returns {Promise<void>}
+     */
+    async shutdown() {
+        this.#shut_down = true;
+        this.close();
+
+        // Cancel the pending maintenance timeout
+        if (this.#cleanup.timeout) this.#clock.clearTimeout(this.#cleanup.timeout);
+        this.#cleanup.timeout = null;
+        this.#cleanup.expected_at = null;
+
+        // Wait for the in-flight lookups including the ones which start while waiting
+        while (this.promises.size) await Promise.allSettled(Array.from(this.promises.values()));
     }
 }
 
+/**
+ * The built-in asynchronous store which persists cached value records as files in a directory.
+ */
+CachedLookup.FileStore = FileStore;
+
+/**
+ * The built-in store which layers multiple stores as tiers with the fastest tier first.
+ */
+CachedLookup.TieredStore = TieredStore;
+
+/**
+ * The built-in invalidation transport which shares messages between threads through a `BroadcastChannel`.
+ */
+CachedLookup.BroadcastChannelTransport = BroadcastChannelTransport;
+
+/**
+ * The built-in invalidation transport which shares messages between the processes of a Node `cluster` over IPC.
+ */
+CachedLookup.ClusterTransport = ClusterTransport;
+
+/**
+ * Wraps a value returned by a lookup function with metadata such as its `ttl`, `stale_ttl` and `tags` which control how it is cached.
+ *
+ * @param {{value: *, ttl?: number, stale_ttl?: number, tags?: string[]}} result
+ * @returns {LookupResult}
+ */
+CachedLookup.result = (result) => new LookupResult(result);
+
+/**
+ * The class of the values returned by `CachedLookup.result()`.
+ */
+CachedLookup.LookupResult = LookupResult;
+
+/**
+ * Formats the statistics returned by `stats()` in the Prometheus text exposition format.
+ */
+CachedLookup.format_prometheus = format_prometheus;
+
+/**
+ * The registry which manages many CachedLookup instances by name with aggregate operations and a shared memory budget.
+ * Also available as `CachedLookup.Registry`.
+ */
+CachedLookup.CachedLookupRegistry = CachedLookupRegistry;
+CachedLookup.Registry = CachedLookupRegistry;
+
+/**
+ * The clock which only moves forward when it is advanced manually for deterministic tests with the `clock` option.
+ */
+CachedLookup.ManualClock = ManualClock;
+
+/**
+ * The built-in value serializer which supports Dates, Maps, Sets, Buffers, BigInts and `undefined` values in snapshots.
+ */
+CachedLookup.serializer = serializer;
+
+/**
+ * @typedef {ConstructorOptions & {max_age: number, mode?: ('cached'|'rolling'), normalize?: function(...*):Array}} WrapOptions
+ */
+
+/**
+ * Wraps the provided function with a new CachedLookup instance and returns a drop-in function which resolves cached values.
+ * The returned function has `expire()` and `fresh()` methods for the same arguments and the CachedLookup `instance` attached.
+ * The `normalize` function maps the arguments of each call before they are keyed and passed to the wrapped function.
+ *
+ * @param {function(...*):*} fn
+ * @param {WrapOptions} options - The constructor options of the instance with the `max_age` of each call and the `mode` of resolving values.
+ * @returns {function(...*):Promise<*>}
+ */
+CachedLookup.wrap = (fn, options) => {
+    if (typeof fn !== 'function') throw new Error('CachedLookup.wrap(fn, options) -> fn must be a Function.');
+    if (!options || typeof options !== 'object')
+        throw new Error('CachedLookup.wrap(fn, options) -> options must be an Object.');
+
+    const { max_age, mode = 'cached', normalize, ...constructor_options } = options;
+    if (typeof max_age !== 'number' || isNaN(max_age) || max_age < 0)
+        throw new Error('CachedLookup.wrap(fn, options) -> options.max_age must be a valid number.');
+    if (mode !== 'cached' && mode !== 'rolling')
+        throw new Error("CachedLookup.wrap(fn, options) -> options.mode must be either 'cached' or 'rolling'.");
+    if (normalize !== undefined && typeof normalize !== 'function')
+        throw new Error('CachedLookup.wrap(fn, options) -> options.normalize must be a Function.');
+
+    // Map the arguments of each call with the normalize function if one was provided
+    const normalized = (args) => {
+        if (!normalize) return args;
+        const result = normalize(...args);
+        if (!Array.isArray(result))
+            throw new Error('CachedLookup.wrap(fn, options) -> options.normalize must return an Array of arguments.');
+        return result;
+    };
+
+    const instance = new CachedLookup(constructor_options, fn);
+    const wrapped = (...args) => instance[mode](max_age, ...normalized(args));
+    wrapped.expire = (...args) => instance.expire(...normalized(args));
+    wrapped.fresh = (...args) => instance.fresh(...normalized(args));
+    wrapped.instance = instance;
+    return wrapped;
+};
+
 module.exports = CachedLookup;
@@ -0,0 +1,130 @@
+/**
+ * Collects the arguments of individual lookups within a time window and dispatches them together as one batch lookup.
+ * The results of each batch are spread back to the individual lookups by their position in the batch.
+ */
+class Batcher {
+    #max_size;
+    #window_ms;
+    #dispatch;
+    #timer = null;
+    #clock;
+
+    /**
+     * The pending lookups which will be dispatched with the next batch.
+     * @type {Array<{args: Array, signal?: AbortSignal, background: boolean, resolve: function(*):void, reject: function(Error):void}>}
+     */
+    #queue = [];
+
+    /**
+     * @param {Object} options
+     * @param {number} [options.max_size=Infinity] - The maximum number of lookups per batch.
+     * @param {number} [options.window_ms=0] - The number of milliseconds to wait for more lookups before dispatching a batch.
+     * @param {Clock} clock - The clock which schedules the window timer.
+     * @param {function(Array<Array>, AbortSignal=, boolean):(Array|Promise<Array>)} dispatch
+     */
+    constructor({ max_size = Infinity, window_ms = 0 }, clock, dispatch) {
+        if (typeof max_size !== 'number' || isNaN(max_size) || max_size < 1)
+            throw new Error('new CachedLookup(options, lookup) -> options.batch.max_size must be a positive number.');
+        if (typeof window_ms !== 'number' || isNaN(window_ms) || window_ms < 0)
+            throw new Error('new CachedLookup(options, lookup) -> options.batch.window_ms must be a valid number.');
+
+        this.#max_size = max_size;
+        this.#window_ms = window_ms;
+        this.#clock = clock;
+        this.#dispatch = dispatch;
+    }
+
+    /**
+     * Returns the number of lookups waiting for the next batch.
+     * @returns {number}
+     */
+    get size() {
+        return this.#queue.length;
+    }
+
+    /**
+     * Queues a lookup for the provided arguments and resolves its value once its batch has been resolved.
+     * The lookup is removed from its batch if the provided signal is aborted before the batch is dispatched.
+     *
+     * @param {Array} args
+     * @param {AbortSignal=} signal
+     * @param {boolean} [background=false] Whether the lookup is a background refresh.
+     * @returns {Promise<*>}
+     */
+    load(args, signal, background = false) {
+        return new Promise((resolve, reject) => {
+            const entry = { args, signal, background, resolve, reject };
+            this.#queue.push(entry);
+            if (signal)
+                signal.addEventListener(
+                    'abort',
+                    () => {
+                        const index = this.#queue.indexOf(entry);
+                        if (index !== -1) this.#queue.splice(index, 1);
+                    },
+                    { once: true },
+                );
+
+            // Dispatch the batch right away once it is full, otherwise wait for more lookups within the window
+            if (this.#queue.length >= this.#max_size) {
+                this.flush();
+            } else if (!this.#timer) {
+                this.#timer = this.#clock.setTimeout(() => this.flush(), Math.min(this.#window_ms, 2147483647));
+            }
+        });
+    }
+
+    /**
+     * Dispatches all of the queued lookups in batches of up to `max_size` lookups.
+     */
+    flush() {
+        this.#clock.clearTimeout(this.#timer);
+        this.#timer = null;
+        while (this.#queue.length) this._dispatch(this.#queue.splice(0, this.#max_size));
+    }
+
+    /**
+     * Dispatches the provided lookups as one batch and spreads the results back to each lookup.
+     * The batch only has a signal if every lookup in the batch has one and it is aborted once every lookup in the batch has been aborted.
+     * The batch is a background batch if all of its lookups are background refreshes.
+     *
+     * @private
+     * @param {Array<{args: Array, signal?: AbortSignal, background: boolean, resolve: function(*):void, reject: function(Error):void}>} batch
+     * @returns {Promise<void>}
+     */
+    async _dispatch(batch) {
+        const controller = batch.every(({ signal }) => signal) ? new AbortController() : undefined;
+        const on_abort = () => {
+            if (batch.every(({ signal }) => signal.aborted)) controller.abort(batch[0].signal.reason);
+        };
+        if (controller) for (const { signal } of batch) signal.addEventListener('abort', on_abort, { once: true });
+
+        try {
+            const background = batch.every((entry) => entry.background);
+            const signal = controller ? controller.signal : undefined;
+            const results = await this.#dispatch(batch.map(({ args }) => args), signal, background);
+
+            // Ensure the batch lookup resolved exactly one result for each lookup
+            if (!Array.isArray(results) || results.length !== batch.length)
+                throw new Error(
+                    `CachedLookup -> The batch lookup must resolve an Array with one result for each of the ${batch.length} arguments.`,
+                );
+
+            // Reject the lookups which resolved an Error and resolve the rest with their result
+            batch.forEach(({ resolve, reject }, index) => {
+                const result = results[index];
+                if (result instanceof Error) {
+                    reject(result);
+                } else {
+                    resolve(result);
+                }
+            });
+        } catch (error) {
+            for (const { reject } of batch) reject(error);
+        } finally {
+            if (controller) for (const { signal } of batch) signal.removeEventListener('abort', on_abort);
+        }
+    }
+}
+
+module.exports = Batcher;
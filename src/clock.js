@@ -0,0 +1,126 @@
+/**
+ * A clock which provides the current time and schedules timers for a CachedLookup instance.
+ * @typedef {Object} Clock
+ * @property {function():number} now - Returns the current time in milliseconds since the UNIX epoch.
+ * @property {function(function():void, number):*} setTimeout - Calls the callback after the delay in milliseconds and returns a timer handle.
+ * @property {function(*):void} clearTimeout - Cancels the timer with the provided handle.
+ */
+
+/**
+ * The default clock which reads the system time and schedules real timers.
+ * @type {Clock}
+ */
+const system_clock = Object.freeze({
+    now: () => Date.now(),
+    setTimeout: (callback, delay) => setTimeout(callback, delay),
+    clearTimeout: (timer) => clearTimeout(timer),
+});
+
+/**
+ * Waits for all pending promise callbacks and immediate callbacks to run.
+ * @private
+ * @returns {Promise<void>}
+ */
+function settle() {
+    return new Promise((resolve) => setImmediate(resolve));
+}
+
+/**
+ * A clock which only moves forward when it is advanced manually for deterministic tests.
+ * Timers fire in the order of their due time while the clock is advanced and never on their own.
+ */
+class ManualClock {
+    #now;
+    #next_id = 1;
+
+    /**
+     * The pending timers by their handle in the order they were scheduled.
+     * @type {Map<number, {callback: function():void, at: number}>}
+     */
+    #timers = new Map();
+
+    /**
+     * Creates a new ManualClock which starts at the provided time.
+     * @param {number} [now=0] The starting time in milliseconds since the UNIX epoch.
+     */
+    constructor(now = 0) {
+        if (typeof now !== 'number' || isNaN(now))
+            throw new Error('new ManualClock(now) -> now must be a valid number.');
+        this.#now = now;
+    }
+
+    /**
+     * Returns the number of pending timers.
+     * @returns {number}
+     */
+    get pending() {
+        return this.#timers.size;
+    }
+
+    /**
+     * Returns the current time of this clock.
+     * @returns {number}
+     */
+    now() {
+        return this.#now;
+    }
+
+    /**
+     * Schedules the provided callback to be called once the clock has been advanced past the provided delay.
+     * Delays shorter than 1 millisecond are treated as 1 millisecond like the timers of Node.
+     *
+     * @param {function():void} callback
+     * @param {number} [delay=0]
+     * @returns {number} The handle of the timer.
+     */
+    setTimeout(callback, delay = 0) {
+        const id = this.#next_id++;
+        this.#timers.set(id, { callback, at: this.#now + Math.max(1, Number(delay) || 0) });
+        return id;
+    }
+
+    /**
+     * Cancels the timer with the provided handle.
+     * @param {number} id
+     */
+    clearTimeout(id) {
+        this.#timers.delete(id);
+    }
+
+    /**
+     * Advances the clock by the provided number of milliseconds and fires every timer which becomes due in the order of their due time.
+     * Promises returned by timers and pending promise callbacks are awaited after each timer so timers scheduled by them within the same window fire as well.
+     *
+     * @param {number} ms
+     * @returns {Promise<void>}
+     */
+    async advance(ms) {
+        if (typeof ms !== 'number' || isNaN(ms) || ms < 0)
+            throw new Error('ManualClock.advance(ms) -> ms must be a valid number.');
+
+        const target = this.#now + ms;
+        await settle();
+        while (true) {
+            // Find the earliest timer which is due by the target time
+            let next;
+            for (const entry of this.#timers) {
+                const { at } = entry[1];
+                if (at <= target && (!next || at < next[1].at)) next = entry;
+            }
+            if (!next) break;
+
+            // Move the clock to the due time of the timer and fire it
+            const [id, { callback, at }] = next;
+            this.#timers.delete(id);
+            this.#now = Math.max(this.#now, at);
+            await callback();
+            await settle();
+        }
+        this.#now = target;
+    }
+}
+
+module.exports = {
+    system_clock,
+    ManualClock,
+};
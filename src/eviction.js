@@ -0,0 +1,252 @@
+/**
+ * The supported eviction policies.
+ * - `lru`: Evicts the least recently read or written cache value.
+ * - `lfu`: Evicts the least frequently read cache value.
+ * - `oldest`: Evicts the least recently updated cache value.
+ * @typedef {('lru' | 'lfu' | 'oldest')} EvictionPolicyTypes
+ */
+const POLICIES = ['lru', 'lfu', 'oldest'];
+
+/**
+ * A group of identifiers with the same number of hits in the frequency list of the `lfu` policy.
+ * @typedef {Object} FrequencyBucket
+ * @property {number} hits
+ * @property {Set<string>} identifiers
+ * @property {FrequencyBucket=} previous
+ * @property {FrequencyBucket=} next
+ */
+
+/**
+ * Tracks the cache identifiers of a CachedLookup instance to determine which one should be evicted next when the cache grows past its limits.
+ */
+class EvictionPolicy {
+    #policy;
+    #bytes = 0;
+
+    /**
+     * Stores the eviction state of each tracked identifier.
+     * The insertion order of this Map is used as the eviction order for the `lru` and `oldest` policies.
+     * @type {Map<string, {bytes: number, hits: number, bucket?: FrequencyBucket}>}
+     */
+    #entries = new Map();
+
+    /**
+     * The first of the frequency buckets of the `lfu` policy which are linked in ascending order of hits.
+     * Each bucket holds the identifiers with the same number of hits in the order they reached it so evictions take constant time.
+     * @type {FrequencyBucket=}
+     */
+    #head;
+
+    /**
+     * @param {EvictionPolicyTypes} policy
+     */
+    constructor(policy) {
+        if (!POLICIES.includes(policy))
+            throw new Error(`new EvictionPolicy(policy) -> policy must be one of ${POLICIES.join(', ')}.`);
+        this.#policy = policy;
+    }
+
+    /**
+     * Moves the provided identifier to the end of the eviction order.
+     * @private
+     * @param {string} identifier
+     * @param {{bytes: number, hits: number}} entry
+     */
+    _move_to_end(identifier, entry) {
+        this.#entries.delete(identifier);
+        this.#entries.set(identifier, entry);
+    }
+
+    /**
+     * Moves the provided identifier into the frequency bucket which matches its hits and drops the bucket it leaves if it is empty.
+     * @private
+     * @param {string} identifier
+     * @param {{bytes: number, hits: number, bucket?: FrequencyBucket}} entry
+     */
+    _move_to_bucket(identifier, entry) {
+        // The matching bucket follows the current bucket or the start of the list for new identifiers
+        const previous = entry.bucket;
+        const next = previous ? previous.next : this.#head;
+        let bucket = next;
+        if (!bucket || bucket.hits !== entry.hits) {
+            bucket = { hits: entry.hits, identifiers: new Set(), previous, next };
+            if (next) next.previous = bucket;
+            if (previous) previous.next = bucket;
+            else this.#head = bucket;
+        }
+        bucket.identifiers.add(identifier);
+        entry.bucket = bucket;
+
+        if (previous) this._leave_bucket(identifier, previous);
+    }
+
+    /**
+     * Removes the provided identifier from the provided frequency bucket and unlinks the bucket if it is empty.
+     * @private
+     * @param {string} identifier
+     * @param {FrequencyBucket} bucket
+     */
+    _leave_bucket(identifier, bucket) {
+        bucket.identifiers.delete(identifier);
+        if (bucket.identifiers.size) return;
+
+        if (bucket.previous) bucket.previous.next = bucket.next;
+        else this.#head = bucket.next;
+        if (bucket.next) bucket.next.previous = bucket.previous;
+    }
+
+    /**
+     * Tracks a read of the cache value for the provided identifier.
+     * @param {string} identifier
+     */
+    read(identifier) {
+        const entry = this.#entries.get(identifier);
+        if (!entry) return;
+
+        entry.hits++;
+        if (this.#policy === 'lru') this._move_to_end(identifier, entry);
+        if (this.#policy === 'lfu') this._move_to_bucket(identifier, entry);
+    }
+
+    /**
+     * Tracks a write of the cache value for the provided identifier with the provided size in bytes.
+     * @param {string} identifier
+     * @param {number} bytes
+     */
+    write(identifier, bytes) {
+        const entry = this.#entries.get(identifier) || { bytes: 0, hits: 0 };
+
+        // Update the total bytes with the difference in size of the written value
+        this.#bytes += bytes - entry.bytes;
+        entry.bytes = bytes;
+
+        // Move the entry to the end of the eviction order as it has just been written
+        if (this.#policy === 'lfu') {
+            if (!this.#entries.has(identifier)) {
+                this.#entries.set(identifier, entry);
+                this._move_to_bucket(identifier, entry);
+            }
+        } else {
+            this._move_to_end(identifier, entry);
+        }
+    }
+
+    /**
+     * Stops tracking the provided identifier.
+     * @param {string} identifier
+     * @returns {boolean}
+     */
+    remove(identifier) {
+        const entry = this.#entries.get(identifier);
+        if (!entry) return false;
+
+        this.#bytes -= entry.bytes;
+        if (entry.bucket) this._leave_bucket(identifier, entry.bucket);
+        return this.#entries.delete(identifier);
+    }
+
+    /**
+     * Stops tracking all identifiers.
+     */
+    clear() {
+        this.#bytes = 0;
+        this.#entries.clear();
+        this.#head = undefined;
+    }
+
+    /**
+     * Returns the identifier that should be evicted next.
+     * The `exclude` identifier is only returned if it is the last tracked identifier.
+     *
+     * @param {string=} exclude
+     * @returns {string=}
+     */
+    victim(exclude) {
+        // The victim is the first identifier in the eviction order for the `lru` and `oldest` policies
+        // or in the frequency buckets for the `lfu` policy which visits at most two identifiers
+        const identifiers = this.#policy === 'lfu' ? this._frequency_order() : this.#entries.keys();
+        let fallback;
+        for (const identifier of identifiers) {
+            // Skip the excluded identifier but remember it in case there are no other candidates
+            if (identifier !== exclude) return identifier;
+            fallback = identifier;
+        }
+        return fallback;
+    }
+
+    /**
+     * Yields the tracked identifiers from the least to the most frequently read with ties in the order they reached their frequency.
+     * @private
+     * @returns {Generator<string>}
+     */
+    *_frequency_order() {
+        for (let bucket = this.#head; bucket; bucket = bucket.next) yield* bucket.identifiers;
+    }
+
+    /**
+     * The number of tracked identifiers.
+     * @returns {number}
+     */
+    get size() {
+        return this.#entries.size;
+    }
+
+    /**
+     * The total size in bytes of all tracked cache values.
+     * @returns {number}
+     */
+    get bytes() {
+        return this.#bytes;
+    }
+}
+
+/**
+ * Returns an approximate size in bytes of the provided value as it is held in memory.
+ *
+ * @param {*} value
+ * @param {WeakSet=} visited
+ * @returns {number}
+ */
+function estimate_size(value, visited = new WeakSet()) {
+    switch (typeof value) {
+        case 'string':
+            return value.length * 2;
+        case 'number':
+            return 8;
+        case 'boolean':
+            return 4;
+        case 'bigint':
+            return 8 + Math.ceil(value.toString(16).length / 2);
+        case 'object': {
+            if (value === null) return 0;
+
+            // Do not count circular references more than once
+            if (visited.has(value)) return 0;
+            visited.add(value);
+
+            // Use the exact byte length of binary values
+            if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) return value.byteLength;
+
+            // Sum up the size of all entries in the collection
+            let bytes = 0;
+            if (value instanceof Map) {
+                for (const [key, entry] of value) bytes += estimate_size(key, visited) + estimate_size(entry, visited);
+            } else if (value instanceof Set || Array.isArray(value)) {
+                for (const entry of value) bytes += estimate_size(entry, visited);
+            } else if (value instanceof Date) {
+                bytes += 8;
+            } else {
+                for (const key in value) bytes += key.length * 2 + estimate_size(value[key], visited);
+            }
+            return bytes;
+        }
+        default:
+            return 0;
+    }
+}
+
+module.exports = {
+    POLICIES,
+    EvictionPolicy,
+    estimate_size,
+};
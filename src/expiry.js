@@ -0,0 +1,164 @@
+/**
+ * Indexes the purge time of each cached value in a binary min-heap so the values which are due for purging can be found
+ * without walking the entire cache. Updated and removed entries are dropped lazily when they reach the top of the heap.
+ */
+class ExpiryIndex {
+    /**
+     * The current purge time of each indexed identifier.
+     * @type {Map<string, number>}
+     */
+    #expiries = new Map();
+
+    /**
+     * The heap of purge times which may include outdated entries for updated or removed identifiers.
+     * @type {Array<{identifier: string, at: number}>}
+     */
+    #heap = [];
+
+    /**
+     * Returns the number of indexed identifiers.
+     * @returns {number}
+     */
+    get size() {
+        return this.#expiries.size;
+    }
+
+    /**
+     * Returns whether the provided identifier is indexed.
+     * @param {string} identifier
+     * @returns {boolean}
+     */
+    has(identifier) {
+        return this.#expiries.has(identifier);
+    }
+
+    /**
+     * Indexes the provided identifier with the provided purge time and replaces its previous purge time.
+     * @param {string} identifier
+     * @param {number} at
+     */
+    set(identifier, at) {
+        if (this.#expiries.get(identifier) === at) return;
+        this.#expiries.set(identifier, at);
+        this._push({ identifier, at });
+
+        // Rebuild the heap once outdated entries outnumber the indexed identifiers
+        if (this.#heap.length > 1024 && this.#heap.length > this.#expiries.size * 2) this._rebuild();
+    }
+
+    /**
+     * Removes the provided identifier from the index.
+     * @param {string} identifier
+     */
+    delete(identifier) {
+        this.#expiries.delete(identifier);
+    }
+
+    /**
+     * Removes all identifiers from the index.
+     */
+    clear() {
+        this.#expiries.clear();
+        this.#heap = [];
+    }
+
+    /**
+     * Returns the earliest purge time of all indexed identifiers.
+     * @returns {number=}
+     */
+    peek() {
+        this._drop_outdated();
+        return this.#heap.length ? this.#heap[0].at : undefined;
+    }
+
+    /**
+     * Removes and returns the identifier with the earliest purge time.
+     * @returns {string=}
+     */
+    shift() {
+        this._drop_outdated();
+        if (!this.#heap.length) return;
+
+        const { identifier } = this._pop();
+        this.#expiries.delete(identifier);
+        return identifier;
+    }
+
+    /**
+     * Removes the outdated entries from the top of the heap.
+     * @private
+     */
+    _drop_outdated() {
+        while (this.#heap.length) {
+            const { identifier, at } = this.#heap[0];
+            if (this.#expiries.get(identifier) === at) return;
+            this._pop();
+        }
+    }
+
+    /**
+     * Rebuilds the heap from the current purge time of each indexed identifier.
+     * @private
+     */
+    _rebuild() {
+        this.#heap = Array.from(this.#expiries, ([identifier, at]) => ({ identifier, at }));
+        for (let index = (this.#heap.length >> 1) - 1; index >= 0; index--) this._sift_down(index);
+    }
+
+    /**
+     * Pushes the provided entry onto the heap.
+     * @private
+     * @param {{identifier: string, at: number}} entry
+     */
+    _push(entry) {
+        const heap = this.#heap;
+        heap.push(entry);
+
+        // Move the entry up until its parent is due before it
+        let index = heap.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (heap[parent].at <= entry.at) break;
+            heap[index] = heap[parent];
+            index = parent;
+        }
+        heap[index] = entry;
+    }
+
+    /**
+     * Removes and returns the top entry of the heap.
+     * @private
+     * @returns {{identifier: string, at: number}}
+     */
+    _pop() {
+        const heap = this.#heap;
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length) {
+            heap[0] = last;
+            this._sift_down(0);
+        }
+        return top;
+    }
+
+    /**
+     * Moves the entry at the provided index down until both of its children are due after it.
+     * @private
+     * @param {number} index
+     */
+    _sift_down(index) {
+        const heap = this.#heap;
+        const entry = heap[index];
+        while (true) {
+            let child = index * 2 + 1;
+            if (child >= heap.length) break;
+            if (child + 1 < heap.length && heap[child + 1].at < heap[child].at) child++;
+            if (heap[child].at >= entry.at) break;
+            heap[index] = heap[child];
+            index = child;
+        }
+        heap[index] = entry;
+    }
+}
+
+module.exports = ExpiryIndex;
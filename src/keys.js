@@ -0,0 +1,57 @@
+const serializer = require('./serializer.js');
+
+/**
+ * The default key strategy used by CachedLookup to serialize lookup arguments into cache identifiers.
+ * Arguments are encoded as a JSON array which keeps their types and boundaries intact, so `('a,b')` and `('a', 'b')`
+ * or `('42')` and `(42)` always produce different identifiers and can be parsed back into the exact original arguments.
+ * Values which JSON cannot represent such as Dates, BigInts and `undefined` are tagged with the built-in serializer
+ * and the properties of plain objects are sorted so objects with the same properties always produce the same identifier.
+ * Other objects are keyed by their `toJSON()` representation and symbols, functions and objects without one are rejected with a `TypeError`.
+ */
+
+/**
+ * Returns a copy of the provided JSON-safe structure with the properties of each object sorted by their key.
+ * @private
+ * @param {*} data
+ * @returns {*}
+ */
+function sort_keys(data) {
+    if (data === null || typeof data !== 'object') return data;
+    if (Array.isArray(data)) return data.map(sort_keys);
+
+    // Define each property so a `__proto__` key stays an own property instead of replacing the prototype
+    const sorted = {};
+    for (const key of Object.keys(data).sort())
+        Object.defineProperty(sorted, key, {
+            value: sort_keys(data[key]),
+            enumerable: true,
+            writable: true,
+            configurable: true,
+        });
+    return sorted;
+}
+
+/**
+ * Serializes the provided arguments into a unique identifier.
+ *
+ * @param {Array} args
+ * @returns {string}
+ */
+function serialize(args) {
+    return JSON.stringify(sort_keys(serializer.serialize(args)));
+}
+
+/**
+ * Parses the provided identifier back into the original arguments.
+ *
+ * @param {string} identifier
+ * @returns {Array}
+ */
+function parse(identifier) {
+    return serializer.deserialize(JSON.parse(identifier));
+}
+
+module.exports = {
+    serialize,
+    parse,
+};
@@ -0,0 +1,171 @@
+const { system_clock } = require('./clock.js');
+
+/**
+ * Limits the number of concurrent lookups and the rate of lookups with a token bucket.
+ * Lookups which have to wait are queued by priority so foreground lookups always start before background lookups.
+ */
+class Limiter {
+    #concurrency;
+    #limit;
+    #interval;
+    #tokens;
+    #refilled_at;
+    #active = 0;
+    #timer = null;
+    #clock;
+
+    /**
+     * The waiting foreground and background lookups in the order they were queued.
+     * @type {{foreground: Array<{owner?: Object, grant: function():void}>, background: Array<{owner?: Object, grant: function():void}>}}
+     */
+    #queues = {
+        foreground: [],
+        background: [],
+    };
+
+    /**
+     * @param {Object} options
+     * @param {number} [options.concurrency=Infinity] - The maximum number of lookups in-flight at once.
+     * @param {{limit: number, interval: number}} [options.rate_limit] - The maximum number of lookups which can start within each interval in milliseconds.
+     * @param {Clock} [options.clock] - The clock which provides the current time and schedules the refill timer.
+     */
+    constructor({ concurrency = Infinity, rate_limit, clock = system_clock }) {
+        this.#clock = clock;
+        this.#concurrency = concurrency;
+        this.#limit = rate_limit ? rate_limit.limit : Infinity;
+        this.#interval = rate_limit ? rate_limit.interval : 0;
+        this.#tokens = this.#limit;
+        this.#refilled_at = this.#clock.now();
+    }
+
+    /**
+     * Returns the number of lookups waiting to start.
+     * @returns {number}
+     */
+    get size() {
+        return this.#queues.foreground.length + this.#queues.background.length;
+    }
+
+    /**
+     * Returns the number of lookups which have started and not been released yet.
+     * @returns {number}
+     */
+    get active() {
+        return this.#active;
+    }
+
+    /**
+     * Refills the token bucket based on the time elapsed since the last refill.
+     * @private
+     */
+    _refill() {
+        // Always move the refill time forward so the time a full bucket sat idle is not credited to later refills
+        const now = this.#clock.now();
+        if (this.#tokens < this.#limit)
+            this.#tokens = Math.min(
+                this.#limit,
+                this.#tokens + ((now - this.#refilled_at) * this.#limit) / this.#interval,
+            );
+        this.#refilled_at = now;
+    }
+
+    /**
+     * Returns whether a lookup can start right away and takes a token from the bucket if so.
+     * @private
+     * @returns {boolean}
+     */
+    _take() {
+        if (this.#active >= this.#concurrency) return false;
+
+        this._refill();
+        if (this.#tokens < 1) return false;
+
+        this.#tokens--;
+        this.#active++;
+        return true;
+    }
+
+    /**
+     * Returns a function which releases the slot of a started lookup once it has settled.
+     * @private
+     * @returns {function():void}
+     */
+    _release() {
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            this.#active--;
+            this._drain();
+        };
+    }
+
+    /**
+     * Starts as many queued lookups as the limits allow with foreground lookups first.
+     * Schedules another drain for when the next token is available if the rate limit is exhausted.
+     * @private
+     */
+    _drain() {
+        while (this.size) {
+            if (!this._take()) break;
+            const queue = this.#queues.foreground.length ? this.#queues.foreground : this.#queues.background;
+            queue.shift().grant();
+        }
+
+        // Wait for the next token if lookups are only waiting for the rate limit
+        if (this.size && this.#active < this.#concurrency && !this.#timer) {
+            const delay = Math.ceil(((1 - this.#tokens) * this.#interval) / this.#limit);
+            this.#timer = this.#clock.setTimeout(() => {
+                this.#timer = null;
+                this._drain();
+            }, delay);
+        }
+    }
+
+    /**
+     * Waits for a slot within the limits to start a lookup.
+     * Returns the release function right away if a slot is available, otherwise a Promise which resolves the release function once the lookup can start.
+     * The returned Promise is rejected with the reason of the provided signal if it is aborted while waiting.
+     *
+     * @param {boolean} background Whether the lookup should wait for all foreground lookups to start first.
+     * @param {AbortSignal=} signal
+     * @param {Object=} owner Identifies the lookup so it can be promoted to the foreground while it waits.
+     * @returns {(function():void)|Promise<function():void>}
+     */
+    acquire(background, signal, owner) {
+        if (!this.size && this._take()) return this._release();
+
+        return new Promise((resolve, reject) => {
+            const queue = background ? this.#queues.background : this.#queues.foreground;
+            const on_abort = () => {
+                // Remove the lookup from whichever queue it is waiting in
+                for (const waiting of [this.#queues.foreground, this.#queues.background]) {
+                    const index = waiting.indexOf(entry);
+                    if (index !== -1) waiting.splice(index, 1);
+                }
+                reject(signal.reason);
+            };
+            const entry = {
+                owner,
+                grant: () => {
+                    if (signal) signal.removeEventListener('abort', on_abort);
+                    resolve(this._release());
+                },
+            };
+            queue.push(entry);
+            if (signal) signal.addEventListener('abort', on_abort, { once: true });
+            this._drain();
+        });
+    }
+
+    /**
+     * Moves the queued background lookup with the provided owner to the end of the foreground queue.
+     * @param {Object} owner
+     */
+    promote(owner) {
+        const index = this.#queues.background.findIndex((entry) => entry.owner === owner);
+        if (index !== -1) this.#queues.foreground.push(...this.#queues.background.splice(index, 1));
+    }
+}
+
+module.exports = Limiter;
@@ -0,0 +1,227 @@
+/**
+ * The counters tracked by the statistics of a CachedLookup instance.
+ * - `hits`: Cached values served within their maximum age.
+ * - `stale`: Expired cached values served by `rolling()` or within their stale window after a failed lookup.
+ * - `misses`: Calls which found no usable cached value.
+ * - `joins`: Calls which joined an in-flight lookup instead of calling the lookup function.
+ * - `lookups`: Calls to the lookup function including each retry which settled or timed out.
+ * - `failures`: Calls to the lookup function which failed or timed out.
+ * - `purges`: Stale cached values purged from the cache.
+ * - `evictions`: Cached values evicted to stay within the cache limits.
+ */
+const COUNTERS = ['hits', 'stale', 'misses', 'joins', 'lookups', 'failures', 'purges', 'evictions'];
+
+/**
+ * The upper bounds in milliseconds of the lookup latency histogram buckets.
+ */
+const LATENCY_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * @typedef {Object} StatsSnapshot
+ * @property {number} hits
+ * @property {number} stale
+ * @property {number} misses
+ * @property {number} joins
+ * @property {number} lookups
+ * @property {number} failures
+ * @property {number} purges
+ * @property {number} evictions
+ * @property {{buckets: Array<{le: number, count: number}>, sum: number, count: number}} latency - The cumulative histogram of lookup latencies in milliseconds.
+ * @property {Object<string, StatsSnapshot>=} prefixes - The statistics of each key prefix when `stats_prefix` is enabled.
+ */
+
+/**
+ * Tracks the counters and the lookup latency histogram of a CachedLookup instance or one of its key prefixes.
+ */
+class Stats {
+    #counters = {};
+    #buckets = LATENCY_BUCKETS.map(() => 0);
+    #sum = 0;
+    #count = 0;
+
+    /**
+     * The statistics of each key prefix when a prefix function is provided.
+     * @type {Map<string, Stats>}
+     */
+    #prefixes = new Map();
+    #prefix;
+
+    /**
+     * @param {function(Array):string} [prefix] Returns the key prefix of the provided arguments to track separate statistics for.
+     */
+    constructor(prefix) {
+        this.#prefix = prefix;
+        for (const name of COUNTERS) this.#counters[name] = 0;
+    }
+
+    /**
+     * Returns the statistics of the key prefix of the provided arguments if prefixes are tracked.
+     * @private
+     * @param {Array=} args
+     * @returns {Stats=}
+     */
+    _get_prefix(args) {
+        if (!this.#prefix || !args) return;
+
+        const prefix = this.#prefix(args);
+        let stats = this.#prefixes.get(prefix);
+        if (!stats) {
+            stats = new Stats();
+            this.#prefixes.set(prefix, stats);
+        }
+        return stats;
+    }
+
+    /**
+     * Increments the provided counter for the instance and the key prefix of the provided arguments.
+     * @param {string} name
+     * @param {Array=} args
+     */
+    increment(name, args) {
+        this.#counters[name]++;
+        this._get_prefix(args)?.increment(name);
+    }
+
+    /**
+     * Records a lookup latency in milliseconds for the instance and the key prefix of the provided arguments.
+     * @param {number} duration
+     * @param {Array=} args
+     */
+    observe(duration, args) {
+        this.#sum += duration;
+        this.#count++;
+        for (let i = 0; i < LATENCY_BUCKETS.length; i++) if (duration <= LATENCY_BUCKETS[i]) this.#buckets[i]++;
+        this._get_prefix(args)?.observe(duration);
+    }
+
+    /**
+     * Returns a snapshot of the counters and the lookup latency histogram.
+     * @returns {StatsSnapshot}
+     */
+    snapshot() {
+        const snapshot = {
+            ...this.#counters,
+            latency: {
+                buckets: LATENCY_BUCKETS.map((le, index) => ({ le, count: this.#buckets[index] })),
+                sum: this.#sum,
+                count: this.#count,
+            },
+        };
+
+        if (this.#prefix) {
+            snapshot.prefixes = {};
+            for (const [prefix, stats] of this.#prefixes) snapshot.prefixes[prefix] = stats.snapshot();
+        }
+        return snapshot;
+    }
+}
+
+/**
+ * Returns the sums of the counters and the lookup latency histograms of the provided statistics without their key prefixes.
+ * @param {StatsSnapshot[]} snapshots
+ * @returns {StatsSnapshot}
+ */
+function merge_stats(snapshots) {
+    const merged = new Stats().snapshot();
+    for (const snapshot of snapshots) {
+        for (const name of COUNTERS) merged[name] += snapshot[name];
+        snapshot.latency.buckets.forEach(({ count }, index) => (merged.latency.buckets[index].count += count));
+        merged.latency.sum += snapshot.latency.sum;
+        merged.latency.count += snapshot.latency.count;
+    }
+    return merged;
+}
+
+/**
+ * The help text of each counter in the Prometheus text exposition format.
+ */
+const HELP = {
+    hits: 'The number of cached values served within their maximum age.',
+    stale: 'The number of expired cached values served while stale.',
+    misses: 'The number of calls which found no usable cached value.',
+    joins: 'The number of calls which joined an in-flight lookup.',
+    lookups: 'The number of calls to the lookup function.',
+    failures: 'The number of failed calls to the lookup function.',
+    purges: 'The number of stale cached values purged from the cache.',
+    evictions: 'The number of cached values evicted from the cache.',
+};
+
+/**
+ * Escapes a label value for the Prometheus text exposition format.
+ * @param {string} value
+ * @returns {string}
+ */
+function escape_label(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Renders the provided labels for the Prometheus text exposition format.
+ * @param {Object<string, string>} labels
+ * @returns {string}
+ */
+function render_labels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escape_label(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Renders the counters and the latency histograms of the provided series of labels and statistics under the provided metric name prefix.
+ * @param {string} name
+ * @param {Array<[Object<string, string>, StatsSnapshot]>} series
+ * @returns {string[]}
+ */
+function render_series(name, series) {
+    const lines = [];
+    for (const counter of COUNTERS) {
+        const metric = `${name}_${counter}_total`;
+        lines.push(`# HELP ${metric} ${HELP[counter]}`, `# TYPE ${metric} counter`);
+        for (const [labels, stats] of series) lines.push(`${metric}${render_labels(labels)} ${stats[counter]}`);
+    }
+
+    const metric = `${name}_lookup_duration_seconds`;
+    lines.push(`# HELP ${metric} The latency of calls to the lookup function.`, `# TYPE ${metric} histogram`);
+    for (const [labels, { latency }] of series) {
+        for (const { le, count } of latency.buckets)
+            lines.push(`${metric}_bucket${render_labels({ ...labels, le: le / 1000 })} ${count}`);
+        lines.push(`${metric}_bucket${render_labels({ ...labels, le: '+Inf' })} ${latency.count}`);
+        lines.push(`${metric}_sum${render_labels(labels)} ${latency.sum / 1000}`);
+        lines.push(`${metric}_count${render_labels(labels)} ${latency.count}`);
+    }
+    return lines;
+}
+
+/**
+ * Formats the provided statistics from `stats()` in the Prometheus text exposition format.
+ * The statistics of each key prefix are rendered under separate `<name>_prefix_*` metrics with an additional `prefix` label
+ * so summing a metric never counts the same event twice. Latencies are rendered in seconds.
+ *
+ * @param {StatsSnapshot} stats
+ * @param {Object} [options]
+ * @param {string} [options.name='cached_lookup'] - The prefix of each metric name.
+ * @param {Object<string, string>} [options.labels] - The labels to add to each metric such as the name of the lookup.
+ * @returns {string}
+ */
+function format_prometheus(stats, { name = 'cached_lookup', labels = {} } = {}) {
+    const lines = render_series(name, [[labels, stats]]);
+
+    // Render the statistics of each key prefix under their own metric names
+    const prefixes = Object.entries(stats.prefixes || {});
+    if (prefixes.length)
+        lines.push(
+            ...render_series(
+                `${name}_prefix`,
+                prefixes.map(([prefix, prefixed]) => [{ ...labels, prefix }, prefixed]),
+            ),
+        );
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    COUNTERS,
+    LATENCY_BUCKETS,
+    Stats,
+    merge_stats,
+    format_prometheus,
+};
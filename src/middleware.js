@@ -0,0 +1,105 @@
+const { is_thenable, chain } = require('./utils.js');
+
+/**
+ * The hooks which a middleware can implement.
+ * - `before_lookup`: Called with the arguments before the lookup function is called and may return the arguments to call it with instead.
+ * - `after_lookup`: Called with the value and the arguments once the lookup function resolves and may return a value to use instead or throw to reject it.
+ * - `before_set`: Called with the value and the arguments before the value is cached and may return `false` to resolve it without caching it.
+ * - `on_hit`: Called with the cached value, its status and the arguments whenever a cached value is served.
+ * - `on_purge`: Called with the stale value and the arguments before it is purged and may return `false` to keep it in the cache.
+ */
+const HOOKS = ['before_lookup', 'after_lookup', 'before_set', 'on_hit', 'on_purge'];
+
+/**
+ * Runs the hooks of the middlewares of a CachedLookup instance in the order the middlewares were added.
+ * Hooks may return a Promise, but the hooks are called synchronously as long as the previous hooks returned synchronously.
+ */
+class MiddlewareChain {
+    /**
+     * The hooks of each name in the order their middlewares were added.
+     * @type {Object<string, Array<function(...*):*>>}
+     */
+    #hooks = {};
+
+    constructor() {
+        for (const name of HOOKS) this.#hooks[name] = [];
+    }
+
+    /**
+     * Adds the hooks of the provided middleware to the end of the chain.
+     * @param {Object<string, function(...*):*>} middleware
+     */
+    add(middleware) {
+        for (const name of HOOKS) if (middleware[name]) this.#hooks[name].push(middleware[name]);
+    }
+
+    /**
+     * Returns whether any middleware implements the provided hook.
+     * @param {string} name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.#hooks[name].length > 0;
+    }
+
+    /**
+     * Passes the provided input through each of the provided hooks which may return a replacement for it.
+     * Hooks which return `undefined` keep the current input.
+     *
+     * @param {string} name
+     * @param {*} input
+     * @param {...*} context The additional parameters passed to each hook after the input.
+     * @returns {*|Promise<*>}
+     */
+    transform(name, input, ...context) {
+        const hooks = this.#hooks[name];
+        const next = (index, current) => {
+            if (index >= hooks.length) return current;
+            return chain(hooks[index](current, ...context), (result) =>
+                next(index + 1, result === undefined ? current : result),
+            );
+        };
+        return next(0, input);
+    }
+
+    /**
+     * Returns whether every one of the provided hooks allows an action by not returning `false`.
+     * The remaining hooks are not called once a hook has returned `false`.
+     *
+     * @param {string} name
+     * @param {...*} params
+     * @returns {boolean|Promise<boolean>}
+     */
+    allows(name, ...params) {
+        const hooks = this.#hooks[name];
+        const next = (index) => {
+            if (index >= hooks.length) return true;
+            return chain(hooks[index](...params), (result) => result !== false && next(index + 1));
+        };
+        return next(0);
+    }
+
+    /**
+     * Calls each of the provided hooks with the provided parameters and ignores their results.
+     * Errors thrown by the hooks are passed to the provided error handler so every hook is called.
+     *
+     * @param {string} name
+     * @param {function(Error):void} on_error
+     * @param {...*} params
+     */
+    notify(name, on_error, ...params) {
+        for (const hook of this.#hooks[name]) {
+            try {
+                const result = hook(...params);
+                if (is_thenable(result)) result.then(undefined, on_error);
+            } catch (error) {
+                on_error(error);
+            }
+        }
+    }
+}
+
+module.exports = {
+    HOOKS,
+    MiddlewareChain,
+};
@@ -0,0 +1,197 @@
+const { chain, all } = require('./utils.js');
+const { merge_stats } = require('./metrics.js');
+
+/**
+ * The CachedLookup instances which share the memory budget of a registry as an instance can only share one budget.
+ * @type {WeakSet<CachedLookup>}
+ */
+const budgeted = new WeakSet();
+
+/**
+ * Manages many CachedLookup instances by name with aggregate operations, statistics and an optional memory budget shared by all instances.
+ */
+class CachedLookupRegistry {
+    #max_bytes;
+
+    /**
+     * The registered instances by their name in the order they were registered.
+     * @type {Map<string, CachedLookup>}
+     */
+    #lookups = new Map();
+
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.max_bytes] - The maximum approximate size in bytes of the cached values of all registered instances.
+     */
+    constructor({ max_bytes } = {}) {
+        if (max_bytes !== undefined && (typeof max_bytes !== 'number' || isNaN(max_bytes) || max_bytes < 1))
+            throw new Error('new CachedLookupRegistry(options) -> options.max_bytes must be a positive number.');
+        this.#max_bytes = max_bytes;
+    }
+
+    /**
+     * Returns the number of registered instances.
+     * @returns {number}
+     */
+    get size() {
+        return this.#lookups.size;
+    }
+
+    /**
+     * Returns the names of the registered instances in the order they were registered.
+     * @returns {string[]}
+     */
+    get names() {
+        return Array.from(this.#lookups.keys());
+    }
+
+    /**
+     * Returns the approximate size in bytes of the cached values of all registered instances which are tracked for eviction.
+     * @returns {number}
+     */
+    get bytes() {
+        let bytes = 0;
+        for (const lookup of this.#lookups.values()) bytes += lookup._get_bytes();
+        return bytes;
+    }
+
+    /**
+     * Registers the provided instance with the provided name and returns it.
+     * The instance starts sharing the memory budget of this registry if one was provided.
+     *
+     * @param {string} name
+     * @param {CachedLookup} lookup
+     * @returns {CachedLookup}
+     */
+    register(name, lookup) {
+        if (typeof name !== 'string' || !name)
+            throw new Error('CachedLookupRegistry.register(name, lookup) -> name must be a non-empty String.');
+        if (!lookup || typeof lookup._set_budget !== 'function')
+            throw new Error('CachedLookupRegistry.register(name, lookup) -> lookup must be a CachedLookup instance.');
+        if (this.#lookups.has(name))
+            throw new Error(`CachedLookupRegistry.register(name, lookup) -> ${name} is already registered.`);
+        for (const registered of this.#lookups.values()) {
+            if (registered === lookup)
+                throw new Error('CachedLookupRegistry.register(name, lookup) -> lookup is already registered.');
+        }
+
+        if (this.#max_bytes !== undefined && budgeted.has(lookup))
+            throw new Error(
+                'CachedLookupRegistry.register(name, lookup) -> lookup already shares the memory budget of another registry.',
+            );
+        this.#lookups.set(name, lookup);
+
+        // Share the memory budget of this registry with the instance and evict cached values if it is already exceeded
+        if (this.#max_bytes !== undefined) {
+            budgeted.add(lookup);
+            lookup._catch(
+                chain(lookup._set_budget((identifier) => this._enforce_budget(lookup, identifier)), () =>
+                    this._enforce_budget(),
+                ),
+            );
+        }
+        return lookup;
+    }
+
+    /**
+     * Removes the instance with the provided name from this registry and its memory budget.
+     * @param {string} name
+     * @returns {boolean} Whether an instance was registered with the provided name.
+     */
+    unregister(name) {
+        const lookup = this.#lookups.get(name);
+        if (!lookup) return false;
+
+        if (this.#max_bytes !== undefined) {
+            lookup._set_budget();
+            budgeted.delete(lookup);
+        }
+        return this.#lookups.delete(name);
+    }
+
+    /**
+     * Returns the instance with the provided name if one is registered.
+     * @param {string} name
+     * @returns {CachedLookup=}
+     */
+    get(name) {
+        return this.#lookups.get(name);
+    }
+
+    /**
+     * Returns whether an instance is registered with the provided name.
+     * @param {string} name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.#lookups.has(name);
+    }
+
+    /**
+     * Expires the cached value for the provided set of arguments in the instance with the provided name.
+     * Note! Returns a Promise if the store of the instance is asynchronous.
+     *
+     * @param {string} name
+     * @param {...*} args
+     * @returns {boolean|Promise<boolean>}
+     */
+    expire(name, ...args) {
+        const lookup = this.#lookups.get(name);
+        if (!lookup) throw new Error(`CachedLookupRegistry.expire(name) -> No lookup is registered as ${name}.`);
+        return lookup.expire(...args);
+    }
+
+    /**
+     * Clears the cached values of all registered instances.
+     * Note! Returns a Promise if the store of any instance is asynchronous.
+     *
+     * @returns {void|Promise<void>}
+     */
+    clear() {
+        return all(Array.from(this.#lookups.values(), (lookup) => lookup.clear()));
+    }
+
+    /**
+     * Returns the sums of the statistics of all registered instances and the statistics of each instance by its name.
+     * @returns {{total: StatsSnapshot, lookups: Object<string, StatsSnapshot>}}
+     */
+    stats() {
+        const lookups = {};
+        for (const [name, lookup] of this.#lookups) lookups[name] = lookup.stats();
+        return { total: merge_stats(Object.values(lookups)), lookups };
+    }
+
+    /**
+     * Shuts down all registered instances by cancelling their pending maintenance and waiting for their in-flight lookups to settle.
+     * @returns {Promise<void>}
+     */
+    async shutdown() {
+        await Promise.all(Array.from(this.#lookups.values(), (lookup) => lookup.shutdown()));
+    }
+
+    /**
+     * Evicts cached values from the registered instance with the most bytes until all instances are within the memory budget.
+     * The provided identifier which was just written to the provided instance is only evicted if it is its last cached value.
+     * Returns a Promise if the store of any instance is asynchronous.
+     *
+     * @private
+     * @param {CachedLookup=} source
+     * @param {string=} identifier
+     * @returns {void|Promise<void>}
+     */
+    _enforce_budget(source, identifier) {
+        const pending = [];
+        while (this.bytes > this.#max_bytes) {
+            // Find the instance which holds the most bytes
+            let largest;
+            for (const lookup of this.#lookups.values())
+                if (!largest || lookup._get_bytes() > largest._get_bytes()) largest = lookup;
+            if (!largest || !largest._get_bytes()) break;
+
+            pending.push(largest._evict('max_bytes', largest === source ? identifier : undefined));
+        }
+        return all(pending);
+    }
+}
+
+module.exports = CachedLookupRegistry;
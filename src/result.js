@@ -0,0 +1,56 @@
+/**
+ * A value returned by a lookup function together with metadata which controls how it is cached.
+ * Lookup functions can return an instance of this class through `CachedLookup.result()` to decide the lifetime of each cached value.
+ */
+class LookupResult {
+    /**
+     * The value to cache and resolve to callers.
+     * @type {*}
+     */
+    value;
+
+    /**
+     * The number of milliseconds for which the value is fresh regardless of a larger `max_age` from callers.
+     * @type {number=}
+     */
+    ttl;
+
+    /**
+     * The number of milliseconds after the value has expired for which it can still be served stale.
+     * @type {number=}
+     */
+    stale_ttl;
+
+    /**
+     * The tags of the value which can be used to expire it along with other values of the same tag.
+     * @type {string[]=}
+     */
+    tags;
+
+    /**
+     * @param {Object} result
+     * @param {*} result.value
+     * @param {number} [result.ttl]
+     * @param {number} [result.stale_ttl]
+     * @param {string[]} [result.tags]
+     */
+    constructor({ value, ttl, stale_ttl, tags }) {
+        for (const [name, lifetime] of [
+            ['ttl', ttl],
+            ['stale_ttl', stale_ttl],
+        ]) {
+            if (lifetime !== undefined && (typeof lifetime !== 'number' || isNaN(lifetime) || lifetime < 0))
+                throw new Error(`CachedLookup.result(result) -> result.${name} must be a valid number.`);
+        }
+
+        if (tags !== undefined && (!Array.isArray(tags) || tags.some((tag) => typeof tag !== 'string')))
+            throw new Error('CachedLookup.result(result) -> result.tags must be an Array of Strings.');
+
+        this.value = value;
+        this.ttl = ttl;
+        this.stale_ttl = stale_ttl;
+        this.tags = tags;
+    }
+}
+
+module.exports = LookupResult;
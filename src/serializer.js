@@ -0,0 +1,126 @@
+/**
+ * A value serializer which encodes values that JSON cannot represent such as Dates, Maps, Sets, Buffers, BigInts,
+ * `undefined`, `-0` and non-finite numbers into tagged JSON-safe structures and decodes them back into the original values.
+ * Tagged structures are plain objects with a `$type` property, so plain objects which have their own `$type` property are tagged as well.
+ * Other objects are encoded through their `toJSON()` method like `JSON.stringify()` does and are rejected if they have none,
+ * as do symbols and functions, since encoding them as empty objects or `null` would make different values indistinguishable.
+ */
+const TAG = '$type';
+
+/**
+ * Sets the provided property as an own property even if its key is `__proto__`.
+ * @private
+ * @param {Object} target
+ * @param {string} key
+ * @param {*} value
+ */
+function define(target, key, value) {
+    Object.defineProperty(target, key, { value, enumerable: true, writable: true, configurable: true });
+}
+
+/**
+ * Returns whether the provided object is a plain object created by an object literal, `JSON.parse()` or `Object.create(null)`.
+ * @private
+ * @param {Object} value
+ * @returns {boolean}
+ */
+function is_plain_object(value) {
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Encodes the provided value into a JSON-safe structure.
+ * Throws a `TypeError` for symbols, functions and objects which are neither supported nor have a `toJSON()` method.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+function serialize(value) {
+    switch (typeof value) {
+        case 'undefined':
+            return { [TAG]: 'undefined' };
+        case 'bigint':
+            return { [TAG]: 'BigInt', value: value.toString() };
+        case 'number':
+            if (Object.is(value, -0)) return { [TAG]: 'Number', value: '-0' };
+            return Number.isFinite(value) ? value : { [TAG]: 'Number', value: String(value) };
+        case 'symbol':
+        case 'function':
+            throw new TypeError(`serializer.serialize(value) -> Values of type ${typeof value} cannot be serialized.`);
+        case 'object': {
+            if (value === null) return null;
+            if (Array.isArray(value)) return value.map(serialize);
+            if (value instanceof Date) return { [TAG]: 'Date', value: value.getTime() };
+            if (Buffer.isBuffer(value)) return { [TAG]: 'Buffer', value: value.toString('base64') };
+            if (value instanceof Map)
+                return { [TAG]: 'Map', value: Array.from(value, ([key, entry]) => [serialize(key), serialize(entry)]) };
+            if (value instanceof Set) return { [TAG]: 'Set', value: Array.from(value, serialize) };
+
+            // Encode other objects such as URLs through their JSON representation
+            if (!is_plain_object(value)) {
+                if (typeof value.toJSON === 'function') return serialize(value.toJSON());
+                const name = value.constructor ? value.constructor.name : 'Object';
+                throw new TypeError(
+                    `serializer.serialize(value) -> Instances of ${name} cannot be serialized without a toJSON() method.`,
+                );
+            }
+
+            // Encode the properties of plain objects and tag them if they collide with the tag property
+            const encoded = {};
+            for (const key of Object.keys(value)) define(encoded, key, serialize(value[key]));
+            return Object.prototype.hasOwnProperty.call(value, TAG) ? { [TAG]: 'Object', value: encoded } : encoded;
+        }
+        default:
+            return value;
+    }
+}
+
+/**
+ * Decodes the provided JSON-safe structure back into the original value.
+ *
+ * @param {*} data
+ * @returns {*}
+ */
+function deserialize(data) {
+    if (data === null || typeof data !== 'object') return data;
+    if (Array.isArray(data)) return data.map(deserialize);
+
+    switch (data[TAG]) {
+        case 'undefined':
+            return undefined;
+        case 'BigInt':
+            return BigInt(data.value);
+        case 'Number':
+            return Number(data.value);
+        case 'Date':
+            return new Date(data.value);
+        case 'Buffer':
+            return Buffer.from(data.value, 'base64');
+        case 'Map':
+            return new Map(data.value.map(([key, entry]) => [deserialize(key), deserialize(entry)]));
+        case 'Set':
+            return new Set(data.value.map(deserialize));
+        case 'Object':
+            return decode_properties(data.value);
+        default:
+            return decode_properties(data);
+    }
+}
+
+/**
+ * Decodes each property of the provided plain object.
+ * @private
+ * @param {Object} data
+ * @returns {Object}
+ */
+function decode_properties(data) {
+    const decoded = {};
+    for (const key of Object.keys(data)) define(decoded, key, deserialize(data[key]));
+    return decoded;
+}
+
+module.exports = {
+    serialize,
+    deserialize,
+};
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * A reference asynchronous store which persists each cached value record as a JSON file inside of a directory.
+ * Multiple processes can point to the same directory to share warm cached values and keep them across restarts.
+ */
+class FileStore {
+    #directory;
+    #serialize;
+    #deserialize;
+
+    /**
+     * @typedef {Object} FileStoreOptions
+     * @property {function(*):string} [serialize=JSON.stringify] - Serializes a stored entry into the file contents.
+     * @property {function(string):*} [deserialize=JSON.parse] - Deserializes the file contents back into a stored entry.
+     */
+
+    /**
+     * Creates a new FileStore which persists cached value records in the provided directory.
+     * The directory is created if it does not exist.
+     *
+     * @param {string} directory
+     * @param {FileStoreOptions} [options]
+     */
+    constructor(directory, options = {}) {
+        if (typeof directory !== 'string' || !directory)
+            throw new Error('new FileStore(directory) -> directory must be a non-empty String.');
+
+        this.#directory = path.resolve(directory);
+        this.#serialize = options.serialize || JSON.stringify;
+        this.#deserialize = options.deserialize || JSON.parse;
+        fs.mkdirSync(this.#directory, { recursive: true });
+    }
+
+    /**
+     * Returns the path of the file which stores the record for the provided identifier.
+     * @private
+     * @param {string} identifier
+     * @returns {string}
+     */
+    _path(identifier) {
+        const hash = crypto.createHash('sha1').update(String(identifier)).digest('hex');
+        return path.join(this.#directory, hash + '.json');
+    }
+
+    /**
+     * Reads the stored entry from the provided file path if it exists.
+     * @private
+     * @param {string} file
+     * @returns {Promise<{identifier: string, record: Object}=>}
+     */
+    async _read(file) {
+        try {
+            return this.#deserialize(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            // Treat missing files and partially written files as missing entries
+            if (error.code === 'ENOENT' || error instanceof SyntaxError) return;
+            throw error;
+        }
+    }
+
+    /**
+     * Returns the cached value record for the provided identifier.
+     * @param {string} identifier
+     * @returns {Promise<Object=>}
+     */
+    async get(identifier) {
+        const entry = await this._read(this._path(identifier));
+        if (entry && entry.identifier === identifier) return entry.record;
+    }
+
+    /**
+     * Stores the cached value record for the provided identifier.
+     * The file is written to a temporary path first and then renamed so concurrent readers never see a partial record.
+     *
+     * @param {string} identifier
+     * @param {Object} record
+     * @returns {Promise<this>}
+     */
+    async set(identifier, record) {
+        const file = this._path(identifier);
+        const temporary = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+        await fs.promises.writeFile(temporary, this.#serialize({ identifier, record }));
+        await fs.promises.rename(temporary, file);
+        return this;
+    }
+
+    /**
+     * Deletes the cached value record for the provided identifier.
+     * @param {string} identifier
+     * @returns {Promise<boolean>} Whether a record was deleted.
+     */
+    async delete(identifier) {
+        try {
+            await fs.promises.unlink(this._path(identifier));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    /**
+     * Iterates over all stored identifiers and their cached value records.
+     * @returns {AsyncGenerator<[string, Object]>}
+     */
+    async *entries() {
+        let names;
+        try {
+            names = await fs.promises.readdir(this.#directory);
+        } catch (error) {
+            // Treat a removed directory as an empty store
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        for (const name of names) {
+            if (!name.endsWith('.json')) continue;
+
+            const entry = await this._read(path.join(this.#directory, name));
+            if (entry) yield [entry.identifier, entry.record];
+        }
+    }
+
+    /**
+     * Deletes all stored cached value records.
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        const names = await fs.promises.readdir(this.#directory);
+        await Promise.all(
+            names
+                .filter((name) => name.endsWith('.json'))
+                .map((name) => fs.promises.unlink(path.join(this.#directory, name)).catch(() => {})),
+        );
+    }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,225 @@
+const { is_thenable, chain, all } = require('../utils.js');
+const { system_clock } = require('../clock.js');
+
+/**
+ * A store which layers multiple stores as tiers with the fastest tier first.
+ * Reads look up the tiers in order and fill the faster tiers when a slower tier hits, while writes and deletes reach every tier.
+ * Each tier can hold a limited number of entries and entries up to a limited age.
+ */
+class TieredStore {
+    /**
+     * @typedef {Object} StoreTier
+     * @property {Map|CacheStore} [store] - The store of this tier. Defaults to an in-memory `Map`.
+     * @property {number} [max_entries] - The maximum number of entries written through this store to hold in this tier before the least recently used entries are removed from it.
+     * @property {number} [ttl] - The maximum age in milliseconds of the entries in this tier based on their `updated_at`.
+     */
+
+    /**
+     * The tiers with the recently used order of their entries when they are limited by `max_entries`.
+     * @type {Array<{store: Map|CacheStore, max_entries: number, ttl: number, order: Map<string, true>}>}
+     */
+    #tiers;
+    #clock;
+
+    /**
+     * Creates a new TieredStore from the provided tiers with the fastest tier first.
+     * Each tier can either be a store or a `StoreTier` object with its own limits.
+     *
+     * @param {Array<Map|CacheStore|StoreTier>} tiers
+     * @param {Object} [options]
+     * @param {Clock} [options.clock] - The clock which provides the current time for the `ttl` of each tier.
+     */
+    constructor(tiers, { clock = system_clock } = {}) {
+        if (!Array.isArray(tiers) || !tiers.length)
+            throw new Error('new TieredStore(tiers) -> tiers must be a non-empty Array.');
+
+        this.#tiers = tiers.map((tier, index) => {
+            if (!tier || typeof tier !== 'object')
+                throw new Error(`new TieredStore(tiers) -> tiers[${index}] must be a store or an Object.`);
+
+            // Accept stores directly as tiers without limits
+            const { store = new Map(), max_entries = Infinity, ttl = Infinity } =
+                typeof tier.get === 'function' ? { store: tier } : tier;
+            for (const method of ['get', 'set', 'delete', 'entries', 'clear']) {
+                if (!store || typeof store[method] !== 'function')
+                    throw new Error(
+                        `new TieredStore(tiers) -> tiers[${index}].store must implement a ${method}() method.`,
+                    );
+            }
+            for (const [name, limit] of [
+                ['max_entries', max_entries],
+                ['ttl', ttl],
+            ]) {
+                if (typeof limit !== 'number' || isNaN(limit) || limit < 1)
+                    throw new Error(`new TieredStore(tiers) -> tiers[${index}].${name} must be a positive number.`);
+            }
+
+            return { store, max_entries, ttl, order: new Map() };
+        });
+        this.#clock = clock;
+    }
+
+    /**
+     * Returns the stores of each tier with the fastest tier first.
+     * @returns {Array<Map|CacheStore>}
+     */
+    get tiers() {
+        return this.#tiers.map(({ store }) => store);
+    }
+
+    /**
+     * Returns whether the provided record is young enough to be held in the provided tier.
+     * @private
+     * @param {{ttl: number}} tier
+     * @param {Object} record
+     * @returns {boolean}
+     */
+    _fits(tier, record) {
+        return this.#clock.now() - record.updated_at <= tier.ttl;
+    }
+
+    /**
+     * Marks the provided identifier as the most recently used entry of the provided tier.
+     * @private
+     * @param {{max_entries: number, order: Map<string, true>}} tier
+     * @param {string} identifier
+     */
+    _touch(tier, identifier) {
+        if (tier.max_entries === Infinity) return;
+        tier.order.delete(identifier);
+        tier.order.set(identifier, true);
+    }
+
+    /**
+     * Writes the provided record to the provided tier and removes its least recently used entries if it has grown past its `max_entries`.
+     * @private
+     * @param {{store: Map|CacheStore, max_entries: number, order: Map<string, true>}} tier
+     * @param {string} identifier
+     * @param {Object} record
+     * @returns {void|Promise<void>}
+     */
+    _write(tier, identifier, record) {
+        const results = [tier.store.set(identifier, record)];
+        this._touch(tier, identifier);
+        while (tier.order.size > tier.max_entries) {
+            const oldest = tier.order.keys().next().value;
+            tier.order.delete(oldest);
+            results.push(tier.store.delete(oldest));
+        }
+        return all(results);
+    }
+
+    /**
+     * Returns the record for the provided identifier from the fastest tier which holds it and fills the faster tiers with it.
+     * Returns a Promise if any of the visited tiers is asynchronous.
+     *
+     * @param {string} identifier
+     * @returns {Object|undefined|Promise<Object|undefined>}
+     */
+    get(identifier) {
+        const visit = (index) => {
+            if (index >= this.#tiers.length) return;
+
+            const tier = this.#tiers[index];
+            return chain(tier.store.get(identifier), (record) => {
+                // Remove the record from this tier if it has aged past the ttl of this tier
+                if (record && !this._fits(tier, record))
+                    return chain(this._remove(tier, identifier), () => visit(index + 1));
+                if (!record) return visit(index + 1);
+
+                // Fill the faster tiers which missed with the record as long as it fits in them
+                this._touch(tier, identifier);
+                const fills = [];
+                for (const faster of this.#tiers.slice(0, index))
+                    if (this._fits(faster, record)) fills.push(this._write(faster, identifier, record));
+                return chain(all(fills), () => record);
+            });
+        };
+        return visit(0);
+    }
+
+    /**
+     * Writes the provided record to every tier.
+     * Returns a Promise if any of the tiers is asynchronous.
+     *
+     * @param {string} identifier
+     * @param {Object} record
+     * @returns {this|Promise<this>}
+     */
+    set(identifier, record) {
+        return chain(all(this.#tiers.map((tier) => this._write(tier, identifier, record))), () => this);
+    }
+
+    /**
+     * Deletes the record for the provided identifier from the provided tier.
+     * @private
+     * @param {{store: Map|CacheStore, order: Map<string, true>}} tier
+     * @param {string} identifier
+     * @returns {boolean|Promise<boolean>}
+     */
+    _remove(tier, identifier) {
+        tier.order.delete(identifier);
+        return tier.store.delete(identifier);
+    }
+
+    /**
+     * Deletes the record for the provided identifier from every tier.
+     * Returns a Promise if any of the tiers is asynchronous.
+     *
+     * @param {string} identifier
+     * @returns {boolean|Promise<boolean>} Whether any of the tiers held the record.
+     */
+    delete(identifier) {
+        const results = this.#tiers.map((tier) => this._remove(tier, identifier));
+        if (results.some(is_thenable)) return Promise.all(results).then((deleted) => deleted.some(Boolean));
+        return results.some(Boolean);
+    }
+
+    /**
+     * Returns the entries of every tier without duplicates where the fastest tier holding an entry wins.
+     * Returns an AsyncIterable if any of the tiers is asynchronous.
+     *
+     * @returns {Iterable<[string, Object]>|AsyncIterable<[string, Object]>}
+     */
+    entries() {
+        const iterables = this.#tiers.map(({ store }) => store.entries());
+        const seen = new Set();
+
+        // Iterate synchronously when every tier is synchronous
+        if (iterables.every((iterable) => typeof iterable[Symbol.iterator] === 'function'))
+            return (function* () {
+                for (const iterable of iterables)
+                    for (const [identifier, record] of iterable) {
+                        if (seen.has(identifier)) continue;
+                        seen.add(identifier);
+                        yield [identifier, record];
+                    }
+            })();
+
+        return (async function* () {
+            for (const iterable of iterables)
+                for await (const [identifier, record] of iterable) {
+                    if (seen.has(identifier)) continue;
+                    seen.add(identifier);
+                    yield [identifier, record];
+                }
+        })();
+    }
+
+    /**
+     * Deletes every record from every tier.
+     * Returns a Promise if any of the tiers is asynchronous.
+     *
+     * @returns {void|Promise<void>}
+     */
+    clear() {
+        return all(
+            this.#tiers.map((tier) => {
+                tier.order.clear();
+                return tier.store.clear();
+            }),
+        );
+    }
+}
+
+module.exports = TieredStore;
@@ -0,0 +1,59 @@
+const { BroadcastChannel } = require('worker_threads');
+
+/**
+ * A reference invalidation transport which shares messages between the main thread and worker threads through a `BroadcastChannel`.
+ * Each instance only receives the messages published by other instances with the same channel name.
+ */
+class BroadcastChannelTransport {
+    #channel;
+
+    /**
+     * Creates a new BroadcastChannelTransport on the provided channel name.
+     * The channel does not keep the event loop alive.
+     *
+     * @param {string} [name='cached-lookup']
+     */
+    constructor(name = 'cached-lookup') {
+        if (typeof name !== 'string' || !name)
+            throw new Error('new BroadcastChannelTransport(name) -> name must be a non-empty String.');
+
+        this.#channel = new BroadcastChannel(name);
+        this.#channel.unref();
+    }
+
+    /**
+     * Returns the underlying BroadcastChannel.
+     * @returns {BroadcastChannel}
+     */
+    get channel() {
+        return this.#channel;
+    }
+
+    /**
+     * Publishes the provided message to all other instances on the same channel.
+     * @param {Object} message
+     */
+    publish(message) {
+        this.#channel.postMessage(message);
+    }
+
+    /**
+     * Calls the provided handler with each message published by other instances on the same channel.
+     * @param {function(Object):void} handler
+     * @returns {function():void} Stops calling the handler.
+     */
+    subscribe(handler) {
+        const listener = (event) => handler(event.data);
+        this.#channel.addEventListener('message', listener);
+        return () => this.#channel.removeEventListener('message', listener);
+    }
+
+    /**
+     * Closes the underlying BroadcastChannel.
+     */
+    close() {
+        this.#channel.close();
+    }
+}
+
+module.exports = BroadcastChannelTransport;
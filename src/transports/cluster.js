@@ -0,0 +1,96 @@
+const cluster = require('cluster');
+
+/**
+ * A reference invalidation transport which shares messages between the processes of a Node `cluster` over IPC.
+ * Workers send their messages to the primary process which relays them to every other worker with `ClusterTransport.relay()`.
+ */
+class ClusterTransport {
+    #channel;
+
+    /**
+     * Creates a new ClusterTransport on the provided channel name.
+     * @param {string} [channel='cached-lookup']
+     */
+    constructor(channel = 'cached-lookup') {
+        if (typeof channel !== 'string' || !channel)
+            throw new Error('new ClusterTransport(channel) -> channel must be a non-empty String.');
+
+        this.#channel = channel;
+    }
+
+    /**
+     * Returns the IPC envelope of the provided message on the provided channel.
+     * @private
+     * @param {string} channel
+     * @param {Object} message
+     * @returns {{cached_lookup_channel: string, message: Object}}
+     */
+    static _wrap(channel, message) {
+        return { cached_lookup_channel: channel, message };
+    }
+
+    /**
+     * Sends the provided IPC envelope to every connected worker except the provided worker.
+     * @private
+     * @param {Object} envelope
+     * @param {import('cluster').Worker} [except]
+     */
+    static _broadcast(envelope, except) {
+        for (const worker of Object.values(cluster.workers || {}))
+            if (worker && worker !== except && worker.isConnected()) worker.send(envelope);
+    }
+
+    /**
+     * Relays the messages of each worker to every other worker on the provided channel.
+     * Must be called once in the primary process for the workers to receive each other's messages.
+     *
+     * @param {string} [channel='cached-lookup']
+     * @returns {function():void} Stops relaying messages.
+     */
+    static relay(channel = 'cached-lookup') {
+        if (!cluster.isPrimary)
+            throw new Error('ClusterTransport.relay(channel) -> Messages can only be relayed by the primary process.');
+
+        const listener = (worker, envelope) => {
+            if (envelope && envelope.cached_lookup_channel === channel) ClusterTransport._broadcast(envelope, worker);
+        };
+        cluster.on('message', listener);
+        return () => cluster.off('message', listener);
+    }
+
+    /**
+     * Publishes the provided message to every worker from the primary process or to the primary process from a worker.
+     * @param {Object} message
+     */
+    publish(message) {
+        const envelope = ClusterTransport._wrap(this.#channel, message);
+        if (cluster.isPrimary) {
+            ClusterTransport._broadcast(envelope);
+        } else if (process.send && process.connected) {
+            process.send(envelope);
+        }
+    }
+
+    /**
+     * Calls the provided handler with each message published by other processes on the same channel.
+     * @param {function(Object):void} handler
+     * @returns {function():void} Stops calling the handler.
+     */
+    subscribe(handler) {
+        const receive = (envelope) => {
+            if (envelope && envelope.cached_lookup_channel === this.#channel) handler(envelope.message);
+        };
+
+        // The primary process receives the messages of its workers through the cluster
+        if (cluster.isPrimary) {
+            const listener = (worker, envelope) => receive(envelope);
+            cluster.on('message', listener);
+            return () => cluster.off('message', listener);
+        }
+
+        process.on('message', receive);
+        return () => process.off('message', receive);
+    }
+}
+
+module.exports = ClusterTransport;
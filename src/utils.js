@@ -0,0 +1,90 @@
+/**
+ * Returns whether the provided value is a Promise or a thenable.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function is_thenable(value) {
+    return (
+        value !== null && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function'
+    );
+}
+
+/**
+ * Calls the provided callback with the provided result once it is available.
+ * Synchronous results are passed to the callback synchronously so synchronous stores do not pay for an extra microtask.
+ *
+ * @template T, U
+ * @param {T|Promise<T>} result
+ * @param {function(T):U} callback
+ * @returns {U|Promise<U>}
+ */
+function chain(result, callback) {
+    return is_thenable(result) ? result.then(callback) : callback(result);
+}
+
+/**
+ * Calls the provided callback for each entry of the provided iterable.
+ * Synchronous iterables are consumed synchronously while asynchronous iterables return a Promise which resolves once all entries were consumed.
+ *
+ * @template T
+ * @param {Iterable<T>|AsyncIterable<T>} iterable
+ * @param {function(T):void} callback
+ * @returns {void|Promise<void>}
+ */
+function for_each(iterable, callback) {
+    if (typeof iterable[Symbol.iterator] === 'function') {
+        for (const entry of iterable) callback(entry);
+        return;
+    }
+
+    return (async () => {
+        for await (const entry of iterable) callback(entry);
+    })();
+}
+
+/**
+ * Waits for all of the provided results which may be Promises.
+ * Returns a Promise only if at least one of the results is a Promise.
+ *
+ * @param {Array<*>} results
+ * @returns {void|Promise<void>}
+ */
+function all(results) {
+    const pending = results.filter(is_thenable);
+    if (pending.length) return Promise.all(pending).then(() => {});
+}
+
+/**
+ * Freezes the provided value and every value it references so none of them can be changed.
+ * The entries of Maps and Sets are frozen as well but Dates, Maps, Sets and typed arrays themselves stay mutable through their methods.
+ *
+ * @template T
+ * @param {T} value
+ * @param {WeakSet<Object>} [seen] The values which have already been frozen to handle circular references.
+ * @returns {T}
+ */
+function deep_freeze(value, seen = new WeakSet()) {
+    if (value === null || typeof value !== 'object' || seen.has(value)) return value;
+    seen.add(value);
+
+    // Freeze the entries of Maps and Sets as they are not properties
+    if (value instanceof Map || value instanceof Set)
+        for (const entry of value.entries()) for (const item of entry) deep_freeze(item, seen);
+
+    // Typed arrays with elements cannot be frozen
+    if (ArrayBuffer.isView(value)) return value;
+
+    // Freeze the value before its properties and skip accessors so no getters are called
+    Object.freeze(value);
+    for (const key of Reflect.ownKeys(value)) deep_freeze(Object.getOwnPropertyDescriptor(value, key).value, seen);
+    return value;
+}
+
+module.exports = {
+    is_thenable,
+    chain,
+    for_each,
+    all,
+    deep_freeze,
+};
@@ -0,0 +1,89 @@
+const CachedLookup = require('../index.js');
+const { log, assert_log, async_wait } = require('./operators.js');
+
+async function test_batch() {
+    const group = 'BATCH';
+    const candidate = 'CachedLookup';
+    log(group, 'Testing Batch Lookups');
+
+    // Create a batch lookup which records each batch and rejects negative ids
+    const batches = [];
+    const lookup = new CachedLookup({ batch: { max_size: 3, window_ms: 10 } }, async (args_list) => {
+        batches.push(args_list.map(([id]) => id));
+        await async_wait(5);
+        return args_list.map(([id]) => (id < 0 ? new Error(`Invalid id ${id}`) : `user-${id}`));
+    });
+
+    // Assert that the cache misses are resolved with a single batch
+    const values = await lookup.cached_many(10000, [[1], [2], [1]]);
+    assert_log(
+        group,
+        candidate + '.cached_many() - Single Batch Test',
+        () => values.join(',') === 'user-1,user-2,user-1' && JSON.stringify(batches) === '[[1,2]]'
+    );
+
+    // Assert that only the cache misses are included in the next batch
+    batches.length = 0;
+    const mixed = await lookup.cached_many(10000, [[1], [3], [2]]);
+    assert_log(
+        group,
+        candidate + '.cached_many() - Cache Misses Only Test',
+        () => mixed.join(',') === 'user-1,user-3,user-2' && JSON.stringify(batches) === '[[3]]'
+    );
+
+    // Assert that separate calls within the window share the batch and in-flight lookups
+    batches.length = 0;
+    const separate = await Promise.all([
+        lookup.cached(10000, 4),
+        lookup.rolling(10000, 5),
+        lookup.cached(10000, 4),
+        lookup.in_flight(4),
+    ]);
+    assert_log(
+        group,
+        candidate + ' - Window Coalescing Test',
+        () => separate.join(',') === 'user-4,user-5,user-4,true' && JSON.stringify(batches) === '[[4,5]]'
+    );
+
+    // Assert that batches are split by the max_size
+    batches.length = 0;
+    await lookup.rolling_many(10000, [[6], [7], [8], [9]]);
+    assert_log(group, candidate + '.rolling_many() - Max Size Test', () => JSON.stringify(batches) === '[[6,7,8],[9]]');
+
+    // Assert that an Error result only rejects the callers of its arguments
+    const results = await Promise.all([
+        lookup.cached(10000, -1).catch((error) => error.message),
+        lookup.cached(10000, 10),
+    ]);
+    assert_log(
+        group,
+        candidate + ' - Error Result Test',
+        () => results.join(',') === 'Invalid id -1,user-10' && lookup.get(-1) === undefined
+    );
+
+    // Assert that a batch which resolves the wrong number of results rejects every caller
+    const broken = new CachedLookup({ batch: {} }, () => ['only-one']);
+    const rejected = await broken.cached_many(10000, [[1], [2]]).catch((error) => error.message);
+    assert_log(group, candidate + ' - Invalid Batch Result Test', () => rejected.includes('one result for each'));
+
+    // Assert that the batch signal is aborted once every caller has given up
+    let aborted = false;
+    const abortable = new CachedLookup({ batch: {}, abortable: true }, async (args_list, signal) => {
+        signal.addEventListener('abort', () => (aborted = true));
+        await async_wait(20);
+        return args_list.map(([id]) => id);
+    });
+    const controller = new AbortController();
+    const pending = abortable.cached_many({ max_age: 10000, signal: controller.signal }, [[1], [2]]).catch(() => {});
+    await async_wait(5);
+    controller.abort();
+    await pending;
+    assert_log(group, candidate + ' - Batch Abort Test', () => aborted === true);
+
+    log(group, 'Finished Testing Batch Lookups');
+    console.log('\n');
+}
+
+module.exports = {
+    test_batch,
+};
@@ -0,0 +1,170 @@
+const path = require('path');
+const crypto = require('crypto');
+const cluster = require('cluster');
+const CachedLookup = require('../index.js');
+const { log, assert_log, async_wait } = require('./operators.js');
+
+/**
+ * An in-memory transport which delivers each message synchronously to every subscriber including the publisher.
+ */
+class EchoTransport {
+    handlers = new Set();
+    published = 0;
+
+    publish(message) {
+        this.published++;
+        for (const handler of this.handlers) handler(message);
+    }
+
+    subscribe(handler) {
+        this.handlers.add(handler);
+        return () => this.handlers.delete(handler);
+    }
+}
+
+async function test_bus() {
+    const group = 'BUS';
+    const candidate = 'CachedLookup';
+    log(group, 'Testing Invalidation Bus');
+
+    // Create two instances of the same lookup and one unrelated lookup on a transport which echoes to every subscriber
+    const transport = new EchoTransport();
+    let lookups = 0;
+    const lookup = (id) => `${id}-${++lookups}`;
+    const first = new CachedLookup({ bus: { transport, namespace: 'users' } }, lookup);
+    const second = new CachedLookup({ bus: { transport, namespace: 'users' } }, lookup);
+    const other = new CachedLookup({ bus: { transport, namespace: 'orders' } }, lookup);
+
+    // Assert that fresh values are shared with the instances in the same namespace only
+    await first.cached(1000, 'a');
+    await other.cached(1000, 'a');
+    assert_log(
+        group,
+        candidate + ' - Fresh Sharing Test',
+        () => second.get('a') === 'a-1' && other.get('a') === 'a-2' && transport.published === 2
+    );
+
+    // Assert that the shared value is served without a lookup and that received messages are not published again
+    const shared = await second.cached(1000, 'a');
+    assert_log(
+        group,
+        candidate + ' - Loop Protection Test',
+        () => shared === 'a-1' && lookups === 2 && transport.published === 2
+    );
+
+    // Assert that expire() reaches the other instances in the same namespace
+    first.expire('a');
+    assert_log(
+        group,
+        candidate + ' - Expire Sharing Test',
+        () => first.get('a') === undefined && second.get('a') === undefined && other.get('a') === 'a-2'
+    );
+
+    // Assert that expire_prefix(), expire_tag() and clear() reach the other instances in the same namespace
+    const tagged = new CachedLookup({ bus: { transport, namespace: 'tags' } }, (id) =>
+        CachedLookup.result({ value: id, tags: ['t'] })
+    );
+    const mirror = new CachedLookup({ bus: { transport, namespace: 'tags' } }, (id) => id);
+    await tagged.cached(1000, 'x', 1);
+    await tagged.cached(1000, 'y', 1);
+    await tagged.cached(1000, 'z', 1);
+    const before = mirror.cache.size;
+    tagged.expire_prefix('x');
+    const prefixed = mirror.cache.size;
+    mirror.expire_tag('t');
+    const untagged = tagged.cache.size;
+    await second.cached(1000, 'b');
+    second.clear();
+    assert_log(
+        group,
+        candidate + ' - Invalidation Sharing Test',
+        () => before === 3 && prefixed === 2 && untagged === 0 && first.cache.size === 0 && other.cache.size === 1
+    );
+
+    // Assert that closed instances stop receiving messages
+    second.close();
+    await first.cached(1000, 'c');
+    assert_log(group, candidate + ' - Close Test', () => second.get('c') === undefined);
+
+    // Assert that the BroadcastChannel transport shares messages between instances on the same channel
+    const name = 'cached-lookup-test-' + crypto.randomUUID();
+    const left_transport = new CachedLookup.BroadcastChannelTransport(name);
+    const right_transport = new CachedLookup.BroadcastChannelTransport(name);
+    const left = new CachedLookup({ bus: { transport: left_transport, namespace: 'users' } }, (id) => new Date(id));
+    const right = new CachedLookup({ bus: { transport: right_transport, namespace: 'users' } }, (id) => new Date(id));
+    await left.cached(1000, 0);
+    await async_wait(20);
+    const received = right.get(0);
+    left.expire(0);
+    await async_wait(20);
+    assert_log(
+        group,
+        candidate + ' - BroadcastChannel Transport Test',
+        () => received instanceof Date && received.getTime() === 0 && right.get(0) === undefined
+    );
+    left_transport.close();
+    right_transport.close();
+
+    // Fork two cluster workers which report the messages they receive on the test channel and on another channel
+    const stop_relay = CachedLookup.ClusterTransport.relay('cached-lookup-test');
+    const primary_transport = new CachedLookup.ClusterTransport('cached-lookup-test');
+    const at_primary = [];
+    primary_transport.subscribe((message) => at_primary.push(message));
+    cluster.setupPrimary({ exec: path.join(__dirname, 'cluster_worker.js') });
+    const workers = [cluster.fork(), cluster.fork()];
+    const at_workers = workers.map(() => []);
+    await Promise.all(
+        workers.map(
+            (worker, index) =>
+                new Promise((resolve) =>
+                    worker.on('message', (message) => {
+                        if (message.ready) resolve();
+                        if (message.received) at_workers[index].push(message);
+                    })
+                )
+        )
+    );
+
+    // Waits until the provided condition holds and then for any unexpected messages to arrive
+    const settled = async (condition) => {
+        for (let waited = 0; !condition() && waited < 2000; waited += 5) await async_wait(5);
+        await async_wait(50);
+    };
+
+    // Assert that the messages of a worker reach the primary and the other worker on the same channel only
+    workers[0].send({ publish: 'worker' });
+    await settled(() => at_workers[1].length > 0 && at_primary.length > 0);
+    const relayed = JSON.stringify(at_workers.map((messages) => messages.slice()));
+    const delivered = JSON.stringify(at_primary);
+
+    // Assert that the messages of the primary reach every worker
+    primary_transport.publish({ from: 'primary' });
+    await settled(() => at_workers[0].length === 1 && at_workers[1].length === 2);
+    assert_log(
+        group,
+        candidate + ' - Cluster Transport Test',
+        () =>
+            relayed === JSON.stringify([[], [{ received: { from: 'worker' } }]]) &&
+            delivered === JSON.stringify([{ from: 'worker' }]) &&
+            JSON.stringify(at_workers[0]) === JSON.stringify([{ received: { from: 'primary' } }]) &&
+            JSON.stringify(at_workers[1]) ===
+                JSON.stringify([{ received: { from: 'worker' } }, { received: { from: 'primary' } }])
+    );
+    stop_relay();
+    await Promise.all(
+        workers.map(
+            (worker) =>
+                new Promise((resolve) => {
+                    worker.on('exit', resolve);
+                    worker.disconnect();
+                })
+        )
+    );
+
+    log(group, 'Finished Testing Invalidation Bus');
+    console.log('\n');
+}
+
+module.exports = {
+    test_bus,
+};
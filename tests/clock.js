@@ -0,0 +1,76 @@
+const CachedLookup = require('../index.js');
+const { log, assert_log } = require('./operators.js');
+
+async function test_clock() {
+    const group = 'CLOCK';
+    const candidate = 'CachedLookup';
+    log(group, 'Testing Clock Injection');
+
+    // Create a lookup on a manual clock which counts its lookups
+    const clock = new CachedLookup.ManualClock(1000);
+    const started_at = Date.now();
+    let lookups = 0;
+    const lookup = new CachedLookup({ clock, purge_age_factor: 1 }, (id) => `${id}-${++lookups}`);
+
+    // Assert that cached values expire based on the time of the clock
+    const first = await lookup.cached(100, 'a');
+    await clock.advance(50);
+    const hit = await lookup.cached(100, 'a');
+    const updated_at = lookup.updated_at('a');
+    await clock.advance(60);
+    const miss = await lookup.cached(100, 'a');
+    assert_log(
+        group,
+        candidate + ' - Clock Expiry Test',
+        () => first === 'a-1' && hit === 'a-1' && updated_at === 1000 && miss === 'a-2' && lookups === 2
+    );
+
+    // Assert that rolling values are served while stale and refreshed in the background
+    await clock.advance(40);
+    const stale = await lookup.rolling(20, 'a');
+    await clock.advance(0);
+    const refreshed = await lookup.rolling(20, 'a');
+    assert_log(group, candidate + ' - Clock Rolling Test', () => stale === 'a-2' && refreshed === 'a-3');
+
+    // Assert that stale values are purged by the timers of the clock
+    const purged = [];
+    lookup.on('purge', (value) => purged.push(value));
+    await lookup.cached(1000 * 60 * 60, 'b');
+    await clock.advance(1000 * 60 * 60 + 1);
+    assert_log(
+        group,
+        candidate + ' - Clock Purge Test',
+        () => purged.includes('a-3') && purged.includes('b-4') && lookup.cache.size === 0 && clock.pending === 0
+    );
+
+    // Assert that lookup timeouts are scheduled with the clock
+    const hanging = new CachedLookup({ clock, timeout: 5000 }, () => new Promise(() => {}));
+    let rejected = false;
+    const pending = hanging.fresh('c').catch(() => (rejected = true));
+    await clock.advance(4999);
+    const early = rejected;
+    await clock.advance(1);
+    await pending;
+    assert_log(
+        group,
+        candidate + ' - Clock Timeout Test',
+        () => !early && rejected && Date.now() - started_at < 1000 * 60
+    );
+
+    // Assert that an incomplete clock is rejected
+    assert_log(group, candidate + ' - Incomplete Clock Test', () => {
+        try {
+            new CachedLookup({ clock: { now: () => 0 } }, () => 1);
+            return false;
+        } catch (error) {
+            return true;
+        }
+    });
+
+    log(group, 'Finished Testing Clock Injection');
+    console.log('\n');
+}
+
+module.exports = {
+    test_clock,
+};
@@ -0,0 +1,122 @@
+const CachedLookup = require('../index.js');
+const { log, assert_log } = require('./operators.js');
+
+async function test_clone() {
+    const group = 'CLONE';
+    const candidate = 'CachedLookup';
+    log(group, 'Testing Value Cloning');
+
+    // Returns a new response object with a nested list for the provided identifier
+    const respond = (id) => ({ id, tags: ['a'], created_at: new Date(0) });
+
+    // Assert that cached values are resolved by reference by default
+    const shared = new CachedLookup(respond);
+    const first = await shared.cached(1000, 'x');
+    first.tags.push('b');
+    const second = await shared.cached(1000, 'x');
+    assert_log(group, candidate + ' - No Cloning Test', () => first === second && second.tags.length === 2);
+
+    // Assert that each caller resolves its own structured copy of the cached value
+    const structured = new CachedLookup({ clone: 'structured' }, respond);
+    const [miss, joined] = await Promise.all([structured.cached(1000, 'x'), structured.cached(1000, 'x')]);
+    miss.tags.push('b');
+    const hit = await structured.cached(1000, 'x');
+    const meta = await structured.rolling_with_meta(1000, 'x');
+    const fresh = await structured.fresh('x');
+    const stored = structured.cache.get(structured._serialize_arguments(['x'])).value;
+    assert_log(
+        group,
+        candidate + ' - Structured Cloning Test',
+        () =>
+            miss !== joined &&
+            joined.tags.length === 1 &&
+            hit.tags.length === 1 &&
+            hit.created_at instanceof Date &&
+            meta.status === 'hit' &&
+            meta.value !== hit &&
+            fresh !== stored &&
+            structured.get('x') !== stored &&
+            structured.get('x').tags.length === 1
+    );
+
+    // Assert that cached values are deep-frozen when they are cached
+    const frozen = new CachedLookup({ clone: 'freeze' }, respond);
+    const value = await frozen.cached(1000, 'x');
+    let threw = false;
+    try {
+        (() => {
+            'use strict';
+            value.tags.push('b');
+        })();
+    } catch (error) {
+        threw = true;
+    }
+    assert_log(
+        group,
+        candidate + ' - Freeze Test',
+        () =>
+            threw &&
+            Object.isFrozen(value) &&
+            Object.isFrozen(value.tags) &&
+            Object.isFrozen(value.created_at) &&
+            frozen.get('x') === value &&
+            value.tags.length === 1
+    );
+
+    // Assert that a custom copier is called for each read of a cached value
+    let copies = 0;
+    const custom = new CachedLookup(
+        {
+            clone: (value) => {
+                copies++;
+                return { ...value, tags: [...value.tags] };
+            },
+        },
+        respond
+    );
+    const copy = await custom.cached(1000, 'x');
+    copy.tags.push('b');
+    const other = await custom.cached(1000, 'x');
+    assert_log(group, candidate + ' - Custom Cloning Test', () => copies === 2 && other.tags.length === 1);
+
+    // Assert that the missing value is not copied so it can be compared by reference
+    const missing_value = { missing: true };
+    const negative = new CachedLookup({ clone: 'structured', missing_ttl: 1000, missing_value }, () => undefined);
+    await negative.cached(1000, 'x').catch(() => {});
+    const replayed = await negative.cached(1000, 'x');
+    assert_log(group, candidate + ' - Missing Value Test', () => replayed === missing_value);
+
+    // Assert that an unknown clone mode is rejected
+    assert_log(group, candidate + ' - Invalid Clone Mode Test', () => {
+        try {
+            new CachedLookup({ clone: 'deep' }, respond);
+            return false;
+        } catch (error) {
+            return true;
+        }
+    });
+
+    // Assert that the structured clone mode is rejected on runtimes without structuredClone()
+    const native_structured_clone = global.structuredClone;
+    global.structuredClone = undefined;
+    let unavailable;
+    try {
+        new CachedLookup({ clone: 'structured' }, respond);
+    } catch (error) {
+        unavailable = error;
+    } finally {
+        global.structuredClone = native_structured_clone;
+    }
+    assert_log(
+        group,
+        candidate + ' - Unavailable Structured Clone Test',
+        () => unavailable instanceof Error && unavailable.message.includes('structuredClone()')
+    );
+
+    log(group, 'Finished Testing Value Cloning');
+    console.log('\n');
+}
+
+module.exports = {
+    test_clone,
+};
@@ -0,0 +1,16 @@
+const CachedLookup = require('../index.js');
+
+// A cluster worker for the ClusterTransport test which reports the messages it receives to the primary process
+const transport = new CachedLookup.ClusterTransport('cached-lookup-test');
+const other = new CachedLookup.ClusterTransport('cached-lookup-other');
+transport.subscribe((message) => process.send({ received: message }));
+other.subscribe((message) => process.send({ received: message, other: true }));
+
+// Publish a message on both channels whenever the primary process asks for it
+process.on('message', (command) => {
+    if (!command || !command.publish) return;
+    transport.publish({ from: command.publish });
+    other.publish({ from: command.publish });
+});
+
+process.send({ ready: true });
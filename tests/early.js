@@ -0,0 +1,93 @@
+const CachedLookup = require('../index.js');
+const { log, assert_log } = require('./operators.js');
+
+async function test_early() {
+    const group = 'EARLY';
+    const candidate = 'CachedLookup';
+    log(group, 'Testing Early Refreshes & TTL Jitter');
+
+    // Replace the random source so the early refreshes and jitters are deterministic
+    const random = Math.random;
+    try {
+        // Create a lookup on a manual clock which takes 50ms per lookup
+        const clock = new CachedLookup.ManualClock();
+        let lookups = 0;
+        const lookup = new CachedLookup({ clock, early_refresh: true }, (id) => {
+            const value = `${id}-${++lookups}`;
+            return new Promise((resolve) => clock.setTimeout(() => resolve(value), 50));
+        });
+        const pending = lookup.cached(1000, 'a');
+        await clock.advance(50);
+        await pending;
+        const { duration } = lookup.cache.get(JSON.stringify(['a']));
+
+        // Assert that reads far from the expiry do not refresh early with a gap of 50 * ln(2) ~ 35ms
+        Math.random = () => 0.5;
+        await clock.advance(910);
+        await lookup.cached(1000, 'a');
+        const far = lookup.in_flight('a');
+
+        // Assert that reads within the gap of the expiry serve the cached value and refresh it early in the background
+        await clock.advance(60);
+        const near = await lookup.cached(1000, 'a');
+        const refreshing = lookup.in_flight('a');
+        await clock.advance(50);
+        const refreshed = await lookup.cached(1000, 'a');
+        assert_log(
+            group,
+            candidate + ' - Early Refresh Test',
+            () => duration === 50 && !far && near === 'a-1' && refreshing && refreshed === 'a-2' && lookups === 2
+        );
+
+        // Assert that the recorded duration only covers the successful attempt without queueing or retries
+        let attempts = 0;
+        const throttled = new CachedLookup(
+            { clock, early_refresh: true, max_concurrent: 1, retries: 1, retry_delay: 100 },
+            (id) =>
+                new Promise((resolve, reject) => {
+                    const fails = id === 'flaky' && ++attempts === 1;
+                    clock.setTimeout(() => (fails ? reject(new Error('Flaky')) : resolve(id)), 50);
+                })
+        );
+        const queued = Promise.all([throttled.cached(1000, 'blocker'), throttled.cached(1000, 'flaky')]);
+        await clock.advance(50 + 50 + 100 + 50);
+        await queued;
+        const throttled_duration = throttled.cache.get(JSON.stringify(['flaky'])).duration;
+        assert_log(group, candidate + ' - Attempt Duration Test', () => throttled_duration === 50 && attempts === 2);
+
+        // Assert that the maximum age of each cached value is shortened by its random jitter
+        Math.random = () => 1;
+        const jittered = new CachedLookup({ clock, ttl_jitter: 0.5 }, () => ++lookups);
+        await jittered.cached(1000, 'b');
+        const { jitter } = jittered.cache.get(JSON.stringify(['b']));
+        await clock.advance(499);
+        const before = await jittered.cached(1000, 'b');
+        await clock.advance(2);
+        const after = await jittered.cached(1000, 'b');
+        assert_log(
+            group,
+            candidate + ' - TTL Jitter Test',
+            () => jitter === 0.5 && before === lookups - 1 && after === lookups
+        );
+
+        // Assert that invalid options are rejected
+        let invalid = 0;
+        for (const options of [{ ttl_jitter: 1 }, { ttl_jitter: -0.1 }, { early_refresh: { beta: 0 } }]) {
+            try {
+                new CachedLookup(options, () => 1);
+            } catch (error) {
+                invalid++;
+            }
+        }
+        assert_log(group, candidate + ' - Invalid Options Test', () => invalid === 3);
+    } finally {
+        Math.random = random;
+    }
+
+    log(group, 'Finished Testing Early Refreshes & TTL Jitter');
+    console.log('\n');
+}
+
+module.exports = {
+    test_early,
+};
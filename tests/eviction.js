@@ -0,0 +1,97 @@
+const CachedLookup = require('../index.js');
+const { log, assert_log } = require('./operators.js');
+
+async function test_eviction() {
+    const group = 'EVICTION';
+    const candidate = 'CachedLookup';
+    log(group, 'Testing Cache Eviction Policies');
+
+    // Assert that the least recently used value is evicted with the max_entries reason
+    const lru = new CachedLookup({ max_entries: 2 }, (id) => 'value-' + id);
+    const lru_evicted = [];
+    lru.on('evict', (value, reason, id) => lru_evicted.push([reason, id]));
+    await lru.fresh(1);
+    await lru.fresh(2);
+    lru.get(1);
+    await lru.fresh(3);
+    assert_log(
+        group,
+        candidate + ' - LRU Eviction Test',
+        () =>
+            lru.cache.size === 2 &&
+            lru.get(2) === undefined &&
+            lru.get(1) !== undefined &&
+            JSON.stringify(lru_evicted) === JSON.stringify([['max_entries', 2]])
+    );
+
+    // Assert that the least frequently used value is evicted
+    const lfu = new CachedLookup({ max_entries: 2, eviction: 'lfu' }, (id) => 'value-' + id);
+    await lfu.fresh(1);
+    await lfu.fresh(2);
+    await lfu.cached(1000, 1);
+    await lfu.cached(1000, 1);
+    await lfu.cached(1000, 2);
+    await lfu.fresh(3);
+    await lfu.fresh(4);
+    assert_log(
+        group,
+        candidate + ' - LFU Eviction Test',
+        () => lfu.cache.size === 2 && lfu.get(1) !== undefined && lfu.get(4) !== undefined
+    );
+
+    // Assert that the least frequently used value is tracked through repeated reads and removals
+    const frequent = new CachedLookup({ max_entries: 4, eviction: 'lfu' }, (id) => 'value-' + id);
+    for (const id of [1, 2, 3, 4]) await frequent.fresh(id);
+    for (const id of [1, 1, 1, 2, 3, 3, 4]) await frequent.cached(1000, id);
+    frequent.expire(2);
+    await frequent.fresh(5);
+    await frequent.fresh(6);
+    const evicted_new = frequent.get(5) === undefined;
+    await frequent.cached(1000, 6);
+    await frequent.cached(1000, 6);
+    await frequent.fresh(7);
+    assert_log(
+        group,
+        candidate + ' - LFU Frequency Order Test',
+        () =>
+            evicted_new &&
+            frequent.cache.size === 4 &&
+            frequent.get(4) === undefined &&
+            [1, 3, 6, 7].every((id) => frequent.get(id) !== undefined)
+    );
+
+    // Assert that the oldest updated value is evicted regardless of reads
+    const oldest = new CachedLookup({ max_entries: 2, eviction: 'oldest' }, (id) => 'value-' + id);
+    await oldest.fresh(1);
+    await oldest.fresh(2);
+    oldest.get(1);
+    await oldest.fresh(3);
+    assert_log(
+        group,
+        candidate + ' - Oldest Updated Eviction Test',
+        () => oldest.get(1) === undefined && oldest.get(2) !== undefined && oldest.get(3) !== undefined
+    );
+
+    // Assert that values are evicted with the max_bytes reason once the byte limit is exceeded
+    const bytes = new CachedLookup({ max_bytes: 12, size_of: (value) => value.length }, (id) => 'x'.repeat(id));
+    const bytes_evicted = [];
+    bytes.on('evict', (value, reason, id) => bytes_evicted.push([reason, id]));
+    await bytes.fresh(4);
+    await bytes.fresh(5);
+    await bytes.fresh(6);
+    assert_log(
+        group,
+        candidate + ' - Max Bytes Eviction Test',
+        () =>
+            bytes.cache.size === 2 &&
+            bytes.get(4) === undefined &&
+            JSON.stringify(bytes_evicted) === JSON.stringify([['max_bytes', 4]])
+    );
+
+    log(group, 'Finished Testing Cache Eviction Policies');
+    console.log('\n');
+}
+
+module.exports = {
+    test_eviction,
+};
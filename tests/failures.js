@@ -0,0 +1,63 @@
+const CachedLookup = require('../index.js');
+const { log, assert_log, async_wait } = require('./operators.js');
+
+async function test_failures() {
+    const group = 'FAILURES';
+    const candidate = 'CachedLookup';
+    log(group, 'Testing Negative Caching');
+
+    // Create a lookup which fails for unknown ids and returns nothing for missing ids
+    let calls = 0;
+    let healthy = false;
+    const lookup = new CachedLookup({ error_ttl: 50, missing_ttl: 50, missing_value: null }, (id) => {
+        calls++;
+        if (healthy) return 'value-' + id;
+        if (id === 'missing') return undefined;
+        throw new Error('Unknown ' + id);
+    });
+    const errors = [];
+    lookup.on('error', (error, id) => errors.push(id));
+
+    // Assert that errors are replayed without calling the lookup again
+    const results = await Promise.allSettled([lookup.cached(1000, 'bad')]);
+    const replayed = await Promise.allSettled([lookup.cached(1000, 'bad'), lookup.rolling(1000, 'bad')]);
+    assert_log(
+        group,
+        candidate + ' - Error Replay Test',
+        () =>
+            calls === 1 &&
+            replayed.every(({ status, reason }) => status === 'rejected' && reason === results[0].reason) &&
+            errors.join(',') === 'bad'
+    );
+
+    // Assert that missing values resolve the sentinel value without calling the lookup again
+    const missing_1 = await lookup.cached(1000, 'missing').catch(() => 'rejected');
+    const missing_2 = await lookup.cached(1000, 'missing');
+    assert_log(
+        group,
+        candidate + ' - Missing Value Sentinel Test',
+        () => missing_1 === null && missing_2 === null && calls === 2
+    );
+
+    // Assert that a successful fresh() clears the cached failure
+    healthy = true;
+    const recovered = await lookup.fresh('bad');
+    const cached = await lookup.cached(1000, 'bad');
+    assert_log(
+        group,
+        candidate + '.fresh() - Failure Recovery Test',
+        () => recovered === 'value-bad' && cached === recovered && !lookup.failures.has('["bad"]')
+    );
+
+    // Assert that failures expire after their ttl
+    await async_wait(60);
+    const expired = await lookup.cached(1000, 'missing');
+    assert_log(group, candidate + ' - Failure Expiry Test', () => expired === 'value-missing' && calls === 4);
+
+    log(group, 'Finished Testing Negative Caching');
+    console.log('\n');
+}
+
+module.exports = {
+    test_failures,
+};
@@ -1,6 +1,30 @@
 const crypto = require('crypto');
 const CachedLookup = require('../index.js');
 const { log, assert_log, async_wait, with_duration } = require('./operators.js');
+const { test_keys } = require('./keys.js');
+const { test_eviction } = require('./eviction.js');
+const { test_stores } = require('./stores.js');
+const { test_snapshots } = require('./snapshots.js');
+const { test_failures } = require('./failures.js');
+const { test_stale } = require('./stale.js');
+const { test_retries } = require('./retries.js');
+const { test_signals } = require('./signals.js');
+const { test_results } = require('./results.js');
+const { test_invalidation } = require('./invalidation.js');
+const { test_batch } = require('./batch.js');
+const { test_refresh } = require('./refresh.js');
+const { test_limits } = require('./limits.js');
+const { test_stats } = require('./stats.js');
+const { test_meta } = require('./meta.js');
+const { test_tiers } = require('./tiers.js');
+const { test_bus } = require('./bus.js');
+const { test_wrap } = require('./wrap.js');
+const { test_clock } = require('./clock.js');
+const { test_early } = require('./early.js');
+const { test_purge } = require('./purge.js');
+const { test_middleware } = require('./middleware.js');
+const { test_clone } = require('./clone.js');
+const { test_registry } = require('./registry.js');
 
 // Track the last lookup arguments
 let lookup_delay = 50;
@@ -216,6 +240,32 @@ async function test_instance() {
 
 // Run tests with different argument sets
 (async () => {
+    // Run the feature specific tests
+    await test_keys();
+    await test_eviction();
+    await test_stores();
+    await test_snapshots();
+    await test_failures();
+    await test_stale();
+    await test_retries();
+    await test_signals();
+    await test_results();
+    await test_invalidation();
+    await test_batch();
+    await test_refresh();
+    await test_limits();
+    await test_stats();
+    await test_meta();
+    await test_tiers();
+    await test_bus();
+    await test_wrap();
+    await test_clock();
+    await test_early();
+    await test_purge();
+    await test_middleware();
+    await test_clone();
+    await test_registry();
+
     // Run a test with no arguments
     await test_instance();
 
@@ -0,0 +1,108 @@
+const CachedLookup = require('../index.js');
+const { AsyncMapStore } = require('./stores.js');
+const { log, assert_log, async_wait } = require('./operators.js');
+
+async function test_invalidation() {
+    const group = 'INVALIDATION';
+    const candidate = 'CachedLookup';
+    log(group, 'Testing Bulk Invalidation');
+
+    // Create a lookup which tags each value with its tenant
+    const lookup = new CachedLookup((user_id, resource) =>
+        CachedLookup.result({ value: { tenant: user_id % 2, user_id, resource }, tags: [`tenant:${user_id % 2}`] }),
+    );
+    const expired = [];
+    lookup.on('expire', (value, ...args) => expired.push(args.join(':')));
+    const populate = () =>
+        Promise.all([
+            lookup.cached(10000, 1, 'profile'),
+            lookup.cached(10000, 1, 'orders'),
+            lookup.cached(10000, 2, 'profile'),
+            lookup.cached(10000, 3, 'profile'),
+            lookup.cached(10000, 12, 'profile'),
+        ]);
+
+    // Assert that the values whose arguments start with the prefix are expired
+    await populate();
+    const prefixed = lookup.expire_prefix(1);
+    assert_log(
+        group,
+        candidate + '.expire_prefix() - Leading Arguments Test',
+        () => prefixed === 2 && expired.join(',') === '1:profile,1:orders' && lookup.get(12, 'profile') !== undefined
+    );
+
+    // Assert that the values matching the predicate are expired
+    expired.length = 0;
+    await populate();
+    const matched = lookup.expire_where((value, user_id, resource) => value.tenant === 0 && resource === 'profile');
+    assert_log(
+        group,
+        candidate + '.expire_where() - Predicate Test',
+        () => matched === 2 && expired.sort().join(',') === '12:profile,2:profile' && lookup.cache.size === 3
+    );
+
+    // Assert that the values tagged by the lookup are expired
+    expired.length = 0;
+    await populate();
+    const tagged = lookup.expire_tag('tenant:1');
+    assert_log(
+        group,
+        candidate + '.expire_tag() - Tag Test',
+        () => tagged === 3 && lookup.cache.size === 2 && lookup.expire_tag('tenant:9') === 0
+    );
+
+    // Assert that abortable in-flight lookups with matching arguments are aborted
+    const slow = new CachedLookup({ abortable: true }, async (user_id) => {
+        await async_wait(20);
+        return user_id;
+    });
+    const pending = slow.cached(10000, 5, 'profile').catch((error) => error.message);
+    slow.expire_prefix(5);
+    const aborted = await pending;
+    assert_log(
+        group,
+        candidate + '.expire_prefix() - In-Flight Abort Test',
+        () => aborted.includes('aborted') && slow.get(5, 'profile') === undefined
+    );
+
+    // Assert that in-flight refreshes of tagged or matching values do not write their values back once expired
+    let version = 0;
+    const refreshing = new CachedLookup(async (id) => {
+        const current = ++version;
+        await async_wait(20);
+        return CachedLookup.result({ value: `${id}-${current}`, tags: [id] });
+    });
+    await refreshing.cached(10000, 'a');
+    await refreshing.cached(10000, 'b');
+    const refreshed_a = refreshing.fresh('a');
+    const refreshed_b = refreshing.fresh('b');
+    const tag_expired = refreshing.expire_tag('a');
+    const where_expired = refreshing.expire_where((value) => value.startsWith('b'));
+    await Promise.all([refreshed_a, refreshed_b]);
+    assert_log(
+        group,
+        candidate + '.expire_where() - In-Flight Expire Test',
+        () =>
+            tag_expired === 1 &&
+            where_expired === 1 &&
+            refreshing.get('a') === undefined &&
+            refreshing.get('b') === undefined &&
+            !refreshing.in_flight('a') &&
+            !refreshing.in_flight('b')
+    );
+
+    // Assert that bulk invalidation works with asynchronous stores
+    const store = new AsyncMapStore();
+    const remote = new CachedLookup({ store }, (id) => CachedLookup.result({ value: id, tags: ['remote'] }));
+    await remote.cached(10000, 'a');
+    await remote.cached(10000, 'b');
+    const removed = await remote.expire_tag('remote');
+    assert_log(group, candidate + '.expire_tag() - Asynchronous Store Test', () => removed === 2 && store.map.size === 0);
+
+    log(group, 'Finished Testing Bulk Invalidation');
+    console.log('\n');
+}
+
+module.exports = {
+    test_invalidation,
+};
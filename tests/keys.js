@@ -0,0 +1,155 @@
+const CachedLookup = require('../index.js');
+const { log, assert_log } = require('./operators.js');
+
+async function test_keys() {
+    const group = 'KEYS';
+    const candidate = 'CachedLookup';
+    log(group, 'Testing Argument Serialization');
+
+    // Create a lookup which returns the received arguments as is
+    const lookup = new CachedLookup((...args) => args);
+
+    // Assert that ambiguous argument sets are cached as separate entries
+    await lookup.cached(1000, 'a,b');
+    await lookup.cached(1000, 'a', 'b');
+    await lookup.cached(1000, [1, 2]);
+    await lookup.cached(1000, 1, 2);
+    await lookup.cached(1000, '42');
+    await lookup.cached(1000, 42);
+    assert_log(
+        group,
+        candidate + ' - Collision Free Identifiers Test',
+        () =>
+            lookup.cache.size === 6 &&
+            lookup.get('a,b').length === 1 &&
+            lookup.get('a', 'b').length === 2 &&
+            lookup.get([1, 2]).length === 1 &&
+            lookup.get(1, 2).length === 2
+    );
+
+    // Assert that the identifiers are parsed back into the exact original arguments
+    assert_log(group, candidate + ' - Argument Parsing Test', () =>
+        Array.from(lookup.cache.keys()).every(
+            (identifier) =>
+                JSON.stringify(lookup._parse_arguments(identifier)) === JSON.stringify(lookup.cache.get(identifier).value)
+        )
+    );
+
+    // Assert that objects with the same properties in a different order share the same identifier
+    const received = [];
+    const rich = new CachedLookup({ purge_age_factor: 1 }, (...args) => {
+        received.push(args);
+        return received.length;
+    });
+    await rich.cached(1000, { city: 'Austin', filters: { limit: 10, sort: 'date' } });
+    const reordered = await rich.cached(1000, { filters: { sort: 'date', limit: 10 }, city: 'Austin' });
+    assert_log(
+        group,
+        candidate + ' - Stable Object Identifiers Test',
+        () => reordered === 1 && rich.cache.size === 1 && received.length === 1
+    );
+
+    // Assert that rich argument types are kept apart from their JSON lookalikes and handed back intact
+    const date = new Date(0);
+    const args = [date, 10n, undefined, [[1, [2]], { at: new Date(1) }]];
+    await rich.cached(20, date.toISOString(), '10', null, [[1, [2]], { at: new Date(1).toISOString() }]);
+    await rich.cached(20, ...args);
+    const [, lookalike, intact] = received;
+    const purged_args = await new Promise((resolve) =>
+        rich.on('purge', (value, ...purged) => {
+            if (value === 3) resolve(purged);
+        })
+    );
+    assert_log(
+        group,
+        candidate + ' - Rich Argument Types Test',
+        () =>
+            typeof lookalike[0] === 'string' &&
+            intact[0] === date &&
+            intact.length === 4 &&
+            purged_args[0] instanceof Date &&
+            purged_args[0].getTime() === 0 &&
+            purged_args[1] === 10n &&
+            purged_args.length === 4 &&
+            purged_args[2] === undefined &&
+            purged_args[3][0][1][0] === 2 &&
+            purged_args[3][1].at instanceof Date &&
+            purged_args[3][1].at.getTime() === 1
+    );
+
+    // Assert that objects with a toJSON() method are keyed by their JSON representation
+    const urls = new CachedLookup((url) => url.href);
+    const first_url = await urls.cached(1000, new URL('https://a/'));
+    const second_url = await urls.cached(1000, new URL('https://b/'));
+    assert_log(
+        group,
+        candidate + ' - toJSON Identifiers Test',
+        () => first_url === 'https://a/' && second_url === 'https://b/' && urls.cache.size === 2
+    );
+
+    // Assert that arguments which cannot be told apart once encoded are rejected instead of colliding
+    class Point {
+        constructor(x) {
+            this.x = x;
+        }
+    }
+    const rejected = [[new Point(1)], [Symbol('a')], [() => 1], [{ nested: Symbol('b') }]].every((args) => {
+        try {
+            lookup.cached(1000, ...args);
+            return false;
+        } catch (error) {
+            return error instanceof TypeError;
+        }
+    });
+    assert_log(group, candidate + ' - Unserializable Arguments Test', () => rejected);
+
+    // Assert that -0 and own __proto__ properties are kept apart from their lookalikes
+    const edges = new CachedLookup((value) => value);
+    await edges.cached(1000, 0);
+    await edges.cached(1000, -0);
+    await edges.cached(1000, {});
+    await edges.cached(1000, JSON.parse('{"__proto__": 1}'));
+    const parsed = Array.from(edges.cache.keys()).map((identifier) => edges._parse_arguments(identifier)[0]);
+    assert_log(
+        group,
+        candidate + ' - Edge Case Identifiers Test',
+        () =>
+            edges.cache.size === 4 &&
+            Object.is(parsed[1], -0) &&
+            Object.prototype.hasOwnProperty.call(parsed[3], '__proto__')
+    );
+
+    // Assert that a custom key strategy is used for identifiers and purge events
+    const custom = new CachedLookup(
+        {
+            purge_age_factor: 1,
+            key: (...args) => args.join('|'),
+            parse: (identifier) => identifier.split('|'),
+        },
+        (...args) => args.length
+    );
+    await custom.cached(1, 'x', 'y');
+    const purged = await new Promise((resolve) => custom.once('purge', (value, ...args) => resolve(args)));
+    assert_log(
+        group,
+        candidate + ' - Custom Key Strategy Test',
+        () => purged.join(',') === 'x,y' && custom.cache.size === 0
+    );
+
+    // Assert that an incomplete custom key strategy is rejected
+    assert_log(group, candidate + ' - Incomplete Key Strategy Test', () => {
+        try {
+            new CachedLookup({ key: () => '' }, () => 1);
+            return false;
+        } catch (error) {
+            return true;
+        }
+    });
+
+    log(group, 'Finished Testing Argument Serialization');
+    console.log('\n');
+}
+
+module.exports = {
+    test_keys,
+};
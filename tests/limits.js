@@ -0,0 +1,119 @@
+const CachedLookup = require('../index.js');
+const { log, assert_log, async_wait, with_duration } = require('./operators.js');
+
+async function test_limits() {
+    const group = 'LIMITS';
+    const candidate = 'CachedLookup';
+    log(group, 'Testing Concurrency & Rate Limits');
+
+    // Create a lookup which allows a single lookup at a time and records the order of lookups
+    const order = [];
+    let running = 0;
+    let max_running = 0;
+    const lookup = new CachedLookup({ max_concurrent: 1 }, async (id) => {
+        order.push(id);
+        max_running = Math.max(max_running, ++running);
+        await async_wait(10);
+        running--;
+        return `${id}-${order.length}`;
+    });
+    const depths = [];
+    const waits = [];
+    lookup.on('queue', (depth) => depths.push(depth));
+    lookup.on('dequeue', (wait, depth) => waits.push(wait));
+
+    // Assert that the lookups are limited to one at a time and report their queue depth and wait time
+    await Promise.all([lookup.fresh('a'), lookup.fresh('b'), lookup.fresh('c')]);
+    assert_log(
+        group,
+        candidate + ' - Max Concurrent Test',
+        () =>
+            max_running === 1 &&
+            depths.join(',') === '1,2' &&
+            waits.length === 2 &&
+            waits[0] >= 5 &&
+            waits[1] >= waits[0]
+    );
+
+    // Assert that foreground lookups start before queued background refreshes
+    order.length = 0;
+    await async_wait(20);
+    const busy = lookup.fresh('busy');
+    await lookup.rolling(10, 'a');
+    const foreground = lookup.cached(10, 'd');
+    await busy;
+    await foreground;
+    await async_wait(20);
+    assert_log(group, candidate + ' - Foreground Priority Test', () => order.join(',') === 'busy,d,a');
+
+    // Assert that a queued background refresh is promoted once a foreground caller waits for it
+    order.length = 0;
+    await async_wait(20);
+    const blocker = lookup.fresh('blocker');
+    await lookup.rolling(10, 'b');
+    await lookup.rolling(10, 'c');
+    const promoted = lookup.cached(10, 'c');
+    await Promise.all([blocker, promoted]);
+    await async_wait(20);
+    assert_log(group, candidate + ' - Background Promotion Test', () => order.join(',') === 'blocker,c,b');
+
+    // Assert that the lookups are limited by the token bucket rate limit
+    const limited = new CachedLookup({ rate_limit: { limit: 2, interval: 100 } }, (id) => id);
+    const [values, duration] = await with_duration(Promise.all([1, 2, 3, 4].map((id) => limited.fresh(id))));
+    assert_log(
+        group,
+        candidate + ' - Rate Limit Test',
+        () => values.join(',') === '1,2,3,4' && duration >= 90 && duration < 200
+    );
+
+    // Assert that an aborted caller leaves the queue without a lookup
+    const controller = new AbortController();
+    order.length = 0;
+    const pending = lookup.fresh('slow');
+    const aborted = lookup.fresh_with({ signal: controller.signal }, 'never').catch((error) => error.name);
+    controller.abort();
+    const reason = await aborted;
+    await pending;
+    assert_log(group, candidate + ' - Queue Abort Test', () => reason === 'AbortError' && order.join(',') === 'slow');
+
+    // Assert that an attempt which timed out frees its slot even though its lookup function never settles
+    const clock = new CachedLookup.ManualClock();
+    const hanging = new CachedLookup({ clock, max_concurrent: 1, timeout: 50 }, (id) =>
+        id === 'hang' ? new Promise(() => {}) : id
+    );
+    const hung = hanging.fresh('hang').catch((error) => error.message);
+    await clock.advance(50);
+    const message = await hung;
+    const recovered = await Promise.race([hanging.fresh('ok'), async_wait(100).then(() => 'blocked')]);
+    assert_log(
+        group,
+        candidate + ' - Timed Out Slot Test',
+        () => message.includes('timed out after 50ms') && recovered === 'ok'
+    );
+
+    // Assert that the rate limit still holds for lookups which start right after an idle period
+    const started = [];
+    const throttled = new CachedLookup({ clock, rate_limit: { limit: 1, interval: 1000 } }, (id) => {
+        started.push(id);
+        return id;
+    });
+    await clock.advance(5000);
+    const first = throttled.fresh('first');
+    const second = throttled.fresh('second');
+    await async_wait(10);
+    const idle = started.join(',');
+    await clock.advance(1000);
+    await Promise.all([first, second]);
+    assert_log(
+        group,
+        candidate + ' - Idle Rate Limit Test',
+        () => idle === 'first' && started.join(',') === 'first,second'
+    );
+
+    log(group, 'Finished Testing Concurrency & Rate Limits');
+    console.log('\n');
+}
+
+module.exports = {
+    test_limits,
+};
@@ -0,0 +1,83 @@
+const CachedLookup = require('../index.js');
+const { log, assert_log, async_wait } = require('./operators.js');
+
+async function test_meta() {
+    const group = 'META';
+    const candidate = 'CachedLookup';
+    log(group, 'Testing Cache Metadata');
+
+    // Create a lookup which caches missing values and fails once it is marked as down
+    let down = false;
+    const lookup = new CachedLookup({ missing_ttl: 1000, missing_value: null }, async (id) => {
+        await async_wait(10);
+        if (down) throw new Error('Upstream is down');
+        if (id === 'missing') return;
+        return CachedLookup.result({ value: `value-${id}`, ttl: id === 'short' ? 20 : undefined });
+    });
+
+    // Assert that a fresh lookup and a caller which joined it are described as a miss and shared
+    const [miss, shared] = await Promise.all([lookup.cached_with_meta(1000, 'a'), lookup.cached_with_meta(1000, 'a')]);
+    assert_log(
+        group,
+        candidate + '.cached_with_meta() - Miss & Shared Test',
+        () =>
+            miss.value === 'value-a' &&
+            miss.status === 'miss' &&
+            shared.status === 'shared' &&
+            miss.updated_at === lookup.updated_at('a') &&
+            miss.max_age === 1000
+    );
+
+    // Assert that a cached value is described as a hit with its age
+    await async_wait(30);
+    const hit = await lookup.cached_with_meta(1000, 'a');
+    assert_log(
+        group,
+        candidate + '.cached_with_meta() - Hit Test',
+        () => hit.status === 'hit' && hit.age >= 25 && hit.updated_at === miss.updated_at
+    );
+
+    // Assert that rolling() describes an expired cached value as stale
+    const stale = await lookup.rolling_with_meta(10, 'a');
+    assert_log(
+        group,
+        candidate + '.rolling_with_meta() - Stale Test',
+        () => stale.value === 'value-a' && stale.status === 'stale' && stale.max_age === 10
+    );
+
+    // Assert that the max_age of the value is limited by its ttl
+    const short = await lookup.rolling_with_meta(1000, 'short');
+    assert_log(group, candidate + '.rolling_with_meta() - TTL Test', () => short.status === 'miss' && short.max_age === 20);
+
+    // Assert that a cached missing value is described as negative
+    const first_negative = await lookup.cached_with_meta(1000, 'missing');
+    const negative = await lookup.cached_with_meta(1000, 'missing');
+    assert_log(
+        group,
+        candidate + '.cached_with_meta() - Negative Test',
+        () =>
+            first_negative.value === null &&
+            first_negative.status === 'negative' &&
+            negative.value === null &&
+            negative.status === 'negative' &&
+            negative.max_age === 1000
+    );
+
+    // Assert that an expired value served after a failed lookup is described as stale
+    await lookup.cached({ max_age: 10, stale_if_error: 1000 }, 'b');
+    down = true;
+    await async_wait(20);
+    const fallback = await lookup.cached_with_meta({ max_age: 10, stale_if_error: 1000 }, 'b');
+    assert_log(
+        group,
+        candidate + '.cached_with_meta() - Stale If Error Test',
+        () => fallback.status === 'stale' && fallback.value === 'value-b'
+    );
+
+    log(group, 'Finished Testing Cache Metadata');
+    console.log('\n');
+}
+
+module.exports = {
+    test_meta,
+};
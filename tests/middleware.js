@@ -0,0 +1,110 @@
+const CachedLookup = require('../index.js');
+const { log, assert_log } = require('./operators.js');
+
+async function test_middleware() {
+    const group = 'MIDDLEWARE';
+    const candidate = 'CachedLookup';
+    log(group, 'Testing Middleware Hooks');
+
+    // Create a lookup on a manual clock which returns the received arguments
+    const clock = new CachedLookup.ManualClock();
+    const received = [];
+    const lookup = new CachedLookup({ clock, purge_age_factor: 1 }, (...args) => {
+        received.push(args);
+        return args[0] === 'empty' ? [] : args.join(':');
+    });
+
+    // Record the calls of each hook and chain two middlewares
+    const hits = [];
+    const vetoed = [];
+    lookup
+        .use({
+            before_lookup: (args) => args.map((arg) => (typeof arg === 'string' ? arg.trim() : arg)),
+            after_lookup: (value) => (typeof value === 'string' ? value.toUpperCase() : undefined),
+            before_set: async (value) => !Array.isArray(value) || value.length > 0,
+            on_hit: (value, status, args) => hits.push([value, status, ...args]),
+        })
+        .use({
+            after_lookup: async (value, args) => {
+                if (args[0] === 'invalid') throw new Error('Invalid value');
+                if (typeof value === 'string') return value + '!';
+            },
+            on_purge: (value, args) => {
+                if (args[0] !== 'kept') return;
+                vetoed.push(value);
+                return false;
+            },
+        });
+
+    // Assert that the arguments are rewritten for the lookup function while the values are cached under the original arguments
+    const value = await lookup.cached(1000, ' a ', 1);
+    const hit = await lookup.cached(1000, ' a ', 1);
+    assert_log(
+        group,
+        candidate + ' - Lookup Hooks Test',
+        () =>
+            value === 'A:1!' &&
+            hit === 'A:1!' &&
+            received.length === 1 &&
+            received[0][0] === 'a' &&
+            lookup.get(' a ', 1) === 'A:1!' &&
+            hits.length === 1 &&
+            hits[0].join(',') === 'A:1!,hit, a ,1'
+    );
+
+    // Assert that rejected values and refused values are not cached
+    let rejected;
+    await lookup.cached(1000, 'invalid').catch((error) => (rejected = error));
+    const empty = await lookup.cached(1000, 'empty');
+    assert_log(
+        group,
+        candidate + ' - Rejected Values Test',
+        () =>
+            rejected &&
+            rejected.message === 'Invalid value' &&
+            lookup.get('invalid') === undefined &&
+            Array.isArray(empty) &&
+            empty.length === 0 &&
+            lookup.get('empty') === undefined
+    );
+
+    // Assert that stale values served by rolling() are reported with their status
+    await clock.advance(1001);
+    hits.length = 0;
+    await lookup.cached(100, 'kept');
+    await clock.advance(101);
+    const stale = await lookup.rolling(100, 'kept');
+    await clock.advance(0);
+    assert_log(
+        group,
+        candidate + ' - Hit Hook Test',
+        () => stale === 'KEPT!' && hits.length === 1 && hits[0][1] === 'stale'
+    );
+
+    // Assert that vetoed purges keep the stale value in the cache before and after it was refreshed
+    await clock.advance(1000);
+    assert_log(
+        group,
+        candidate + ' - Purge Veto Test',
+        () => vetoed.length === 2 && lookup.get('kept') === 'KEPT!' && lookup.get(' a ', 1) === undefined
+    );
+
+    // Assert that invalid middlewares are rejected
+    assert_log(group, candidate + ' - Invalid Middleware Test', () =>
+        [null, {}, { on_hit: 'log' }].every((middleware) => {
+            try {
+                lookup.use(middleware);
+                return false;
+            } catch (error) {
+                return true;
+            }
+        })
+    );
+
+    log(group, 'Finished Testing Middleware Hooks');
+    console.log('\n');
+}
+
+module.exports = {
+    test_middleware,
+};
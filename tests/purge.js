@@ -0,0 +1,92 @@
+const CachedLookup = require('../index.js');
+const { log, assert_log } = require('./operators.js');
+
+async function test_purge() {
+    const group = 'PURGE';
+    const candidate = 'CachedLookup';
+    log(group, 'Testing Incremental Purging');
+
+    // Create a lookup on a manual clock which records the cached values read from its cache
+    const clock = new CachedLookup.ManualClock();
+    let lookups = 0;
+    const lookup = new CachedLookup({ clock, purge_age_factor: 1 }, (id) => `${id}-${++lookups}`);
+    const purged = [];
+    lookup.on('purge', (value) => purged.push(value));
+    const visited = [];
+    const get = lookup.cache.get.bind(lookup.cache);
+    lookup.cache.get = (identifier) => {
+        visited.push(lookup._parse_arguments(identifier)[0]);
+        return get(identifier);
+    };
+    lookup.cache.entries = () => {
+        throw new Error('The purge walked the entire cache.');
+    };
+
+    // Assert that a purge only visits the cached values which are due
+    for (let id = 0; id < 100; id++) await lookup.cached(1000 * 60, `long-${id}`);
+    await lookup.cached(100, 'a');
+    await lookup.cached(200, 'b');
+    visited.length = 0;
+    await clock.advance(101);
+    assert_log(
+        group,
+        candidate + ' - Due Values Only Test',
+        () => visited.join(',') === 'a' && purged.join(',') === 'a-101' && lookup.cache.size === 101
+    );
+
+    // Assert that a cached value which was written again is purged at its new purge time instead
+    await clock.advance(50);
+    await lookup.cached(100, 'b');
+    visited.length = 0;
+    await clock.advance(99);
+    const kept = visited.length === 0 && purged.length === 1 && lookup.cache.size === 101;
+    await clock.advance(2);
+    assert_log(
+        group,
+        candidate + ' - Rewritten Value Test',
+        () => kept && purged.join(',') === 'a-101,b-103' && lookup.cache.size === 100
+    );
+
+    // Assert that expired and cleared cached values are dropped from the index
+    await lookup.cached(100, 'c');
+    lookup.expire('c');
+    visited.length = 0;
+    await clock.advance(101);
+    const expired = visited.length === 0;
+    await lookup.cached(100, 'd');
+    lookup.clear();
+    visited.length = 0;
+    await clock.advance(1000 * 60 + 1);
+    assert_log(
+        group,
+        candidate + ' - Expired Value Test',
+        () => expired && visited.length === 0 && purged.length === 2 && clock.pending === 0
+    );
+
+    // Assert that a purge only visits the cached failures which have expired
+    const failing = new CachedLookup({ clock, error_ttl: 100, purge_age_factor: 1 }, (id) => {
+        throw new Error(`Unknown ${id}`);
+    });
+    failing.on('error', () => {});
+    failing.failures[Symbol.iterator] = () => {
+        throw new Error('The purge walked all of the failures.');
+    };
+    await failing.cached(1000, 'x').catch(() => {});
+    await clock.advance(50);
+    await failing.cached(1000, 'y').catch(() => {});
+    await clock.advance(51);
+    const remaining = Array.from(failing.failures.keys());
+    await clock.advance(50);
+    assert_log(
+        group,
+        candidate + ' - Expired Failures Test',
+        () => remaining.join(',') === '["y"]' && failing.failures.size === 0 && clock.pending === 0
+    );
+
+    log(group, 'Finished Testing Incremental Purging');
+    console.log('\n');
+}
+
+module.exports = {
+    test_purge,
+};
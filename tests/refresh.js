@@ -0,0 +1,94 @@
+const CachedLookup = require('../index.js');
+const { log, assert_log, async_wait } = require('./operators.js');
+
+async function test_refresh() {
+    const group = 'REFRESH';
+    const candidate = 'CachedLookup';
+    log(group, 'Testing Refresh Ahead');
+
+    // Create a lookup which refreshes cached values at half of their age
+    let lookups = 0;
+    let running = 0;
+    let max_running = 0;
+    const lookup = new CachedLookup({ refresh_ahead: { at: 0.5, concurrency: 1, idle_ms: 150 } }, async (id) => {
+        lookups++;
+        max_running = Math.max(max_running, ++running);
+        await async_wait(10);
+        running--;
+        return `${id}-${lookups}`;
+    });
+
+    // Assert that a read value is refreshed in the background before it expires
+    const value = await lookup.cached(100, 'a');
+    await async_wait(80);
+    const refreshed = await lookup.cached(100, 'a');
+    assert_log(
+        group,
+        candidate + '.cached() - Refresh Ahead Test',
+        () => lookups === 2 && refreshed !== value && lookup.get('a') === refreshed
+    );
+
+    // Assert that the value is no longer refreshed once it has not been read within the idle window
+    await async_wait(400);
+    const idle_lookups = lookups;
+    await async_wait(150);
+    assert_log(group, candidate + ' - Idle Refresh Stop Test', () => lookups === idle_lookups && lookups < 8);
+
+    // Assert that background refreshes are limited by the concurrency
+    await Promise.all(['x', 'y', 'z'].map((id) => lookup.rolling(100, id)));
+    lookups = 0;
+    max_running = 0;
+    await async_wait(90);
+    assert_log(group, candidate + '.rolling() - Refresh Concurrency Test', () => lookups === 3 && max_running === 1);
+
+    // Assert that expired values are no longer refreshed
+    await Promise.all(['x', 'y', 'z'].map((id) => lookup.expire(id)));
+    const expired_lookups = lookups;
+    await async_wait(100);
+    assert_log(group, candidate + '.expire() - Refresh Stop Test', () => lookups === expired_lookups);
+
+    // Assert that a value which failed its first lookup is refreshed ahead once a later lookup caches it
+    let failing = true;
+    let recovered_lookups = 0;
+    const recovering = new CachedLookup({ refresh_ahead: { at: 0.5 } }, async (id) => {
+        if (failing) throw new Error('Lookup failed');
+        return `${id}-${++recovered_lookups}`;
+    });
+    const failed = await recovering.cached(100, 'b').catch((error) => error);
+    failing = false;
+    await recovering.cached(100, 'b');
+    await async_wait(80);
+    assert_log(
+        group,
+        candidate + '.cached() - Failed Lookup Refresh Test',
+        () => failed instanceof Error && recovered_lookups === 2 && recovering.get('b') === 'b-2'
+    );
+
+    // Assert that the due values are refreshed in the order of their refresh time
+    const clock = new CachedLookup.ManualClock();
+    const order = [];
+    const ordered = new CachedLookup({ clock, refresh_ahead: { at: 0.5, concurrency: 1 } }, async (id) => {
+        order.push(id);
+        return id;
+    });
+    await ordered.cached(100, 'late');
+    await ordered.cached(60, 'early');
+    order.length = 0;
+    await clock.advance(40);
+    const early_order = order.slice();
+    await clock.advance(15);
+    assert_log(
+        group,
+        candidate + ' - Refresh Order Test',
+        () => early_order.join() === 'early' && order.join() === 'early,late'
+    );
+    ordered.clear();
+    recovering.clear();
+
+    log(group, 'Finished Testing Refresh Ahead');
+    console.log('\n');
+}
+
+module.exports = {
+    test_refresh,
+};
@@ -0,0 +1,131 @@
+const CachedLookup = require('../index.js');
+const { log, assert_log } = require('./operators.js');
+
+async function test_registry() {
+    const group = 'REGISTRY';
+    const candidate = 'CachedLookup.Registry';
+    log(group, 'Testing Lookup Registry');
+
+    // Create a registry of two lookups where each cached value counts as 100 bytes
+    const clock = new CachedLookup.ManualClock();
+    const registry = new CachedLookup.Registry({ max_bytes: 250 });
+    const options = { clock, size_of: () => 100 };
+    const users = registry.register('users', new CachedLookup(options, (id) => `user-${id}`));
+    const posts = registry.register('posts', new CachedLookup(options, (id) => `post-${id}`));
+
+    // Assert that instances are registered by unique names
+    const rejected = [
+        () => registry.register('users', new CachedLookup(() => 1)),
+        () => registry.register('copy', users),
+        () => registry.register('', new CachedLookup(() => 1)),
+        () => new CachedLookup.Registry({ max_bytes: 1 }).register('users', users),
+    ].every((register) => {
+        try {
+            register();
+            return false;
+        } catch (error) {
+            return true;
+        }
+    });
+    assert_log(
+        group,
+        candidate + ' - Registration Test',
+        () =>
+            rejected &&
+            registry.size === 2 &&
+            registry.names.join(',') === 'users,posts' &&
+            registry.get('users') === users &&
+            registry.has('posts') &&
+            registry instanceof CachedLookup.CachedLookupRegistry
+    );
+
+    // Assert that the instance with the most bytes is evicted from once the shared budget is exceeded
+    const evicted = [];
+    users.on('evict', (value, reason) => evicted.push(`${value}:${reason}`));
+    posts.on('evict', (value, reason) => evicted.push(`${value}:${reason}`));
+    await users.cached(1000, 1);
+    await users.cached(1000, 2);
+    await posts.cached(1000, 1);
+    const after_users = evicted.join(',');
+    await posts.cached(1000, 2);
+    assert_log(
+        group,
+        candidate + ' - Shared Budget Test',
+        () =>
+            after_users === 'user-1:max_bytes' &&
+            evicted.join(',') === 'user-1:max_bytes,post-1:max_bytes' &&
+            registry.bytes === 200 &&
+            users.get(2) === 'user-2' &&
+            posts.get(2) === 'post-2'
+    );
+
+    // Assert that expire calls are routed by name and statistics are aggregated
+    const expired = registry.expire('posts', 2);
+    let unknown = false;
+    try {
+        registry.expire('comments', 1);
+    } catch (error) {
+        unknown = true;
+    }
+    const stats = registry.stats();
+    assert_log(
+        group,
+        candidate + ' - Expire & Stats Test',
+        () =>
+            expired === true &&
+            unknown &&
+            posts.get(2) === undefined &&
+            stats.total.misses === 4 &&
+            stats.total.evictions === 2 &&
+            stats.lookups.users.misses === 2 &&
+            stats.lookups.posts.evictions === 1
+    );
+
+    // Assert that the registry clears every instance and removes unregistered instances from its budget
+    registry.clear();
+    const cleared = users.cache.size === 0 && posts.cache.size === 0 && registry.bytes === 0;
+    registry.unregister('posts');
+    for (let id = 0; id < 3; id++) await posts.cached(1000, id);
+    assert_log(
+        group,
+        candidate + ' - Clear & Unregister Test',
+        () => cleared && !registry.has('posts') && posts.cache.size === 3 && registry.bytes === 0
+    );
+
+    // Assert that a shutdown cancels the pending purges and waits for the in-flight lookups
+    await posts.shutdown();
+    let resolve_lookup;
+    const slow = registry.register(
+        'slow',
+        new CachedLookup({ clock }, () => new Promise((resolve) => (resolve_lookup = resolve)))
+    );
+    await users.cached(1000, 3);
+    const pending_timers = clock.pending;
+    const in_flight = slow.fresh('a');
+    let shut_down = false;
+    const shutdown = registry.shutdown().then(() => (shut_down = true));
+    await clock.advance(0);
+    const waited = !shut_down;
+    resolve_lookup('value');
+    await shutdown;
+    await users.cached(1000, 4);
+    assert_log(
+        group,
+        candidate + ' - Shutdown Test',
+        () =>
+            pending_timers > 0 &&
+            waited &&
+            shut_down &&
+            clock.pending === 0 &&
+            slow.get('a') === 'value' &&
+            users.get(4) === 'user-4'
+    );
+    await in_flight;
+
+    log(group, 'Finished Testing Lookup Registry');
+    console.log('\n');
+}
+
+module.exports = {
+    test_registry,
+};
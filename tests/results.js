@@ -0,0 +1,88 @@
+const CachedLookup = require('../index.js');
+const { log, assert_log, async_wait } = require('./operators.js');
+
+async function test_results() {
+    const group = 'RESULTS';
+    const candidate = 'CachedLookup';
+    log(group, 'Testing Per-Value Lifetimes');
+
+    // Create a lookup which decides the lifetime of each value and fails once it is marked as down
+    let down = false;
+    let version = 0;
+    const lookup = new CachedLookup({ purge_age_factor: 1 }, (id, ttl, stale_ttl) => {
+        if (down) throw new Error('Upstream is down');
+        return CachedLookup.result({ value: `${id}-${++version}`, ttl, stale_ttl, tags: ['ids'] });
+    });
+
+    // Assert that the value is unwrapped and cached with its metadata
+    const value = await lookup.cached(10000, 'a', 30);
+    const record = lookup.cache.get(JSON.stringify(['a', 30]));
+    assert_log(
+        group,
+        candidate + '.result() - Value Unwrap Test',
+        () => value === 'a-1' && record.value === 'a-1' && record.ttl === 30 && record.tags[0] === 'ids'
+    );
+
+    // Assert that the ttl applies even though the caller provides a larger max_age
+    await async_wait(50);
+    const refreshed = await lookup.cached(10000, 'a', 30);
+    assert_log(group, candidate + '.cached() - TTL Over Max Age Test', () => refreshed === 'a-2');
+
+    // Assert that values cached without a max_age are purged based on their ttl
+    await lookup.fresh('b', 20);
+    await async_wait(60);
+    assert_log(group, candidate + ' - TTL Purge Test', () => lookup.get('b', 20) === undefined);
+
+    // Assert that rolling() serves the expired value within its stale_ttl while refreshing it in the background
+    const rolled = await lookup.rolling(10000, 'c', 20, 200);
+    await async_wait(40);
+    const stale = await lookup.rolling(10000, 'c', 20, 200);
+    await async_wait(10);
+    assert_log(
+        group,
+        candidate + '.rolling() - Stale TTL Test',
+        () => stale === rolled && lookup.get('c', 20, 200) !== rolled
+    );
+
+    // Assert that cached() falls back to the expired value within its stale_ttl when the lookup fails
+    const current = lookup.get('c', 20, 200);
+    await async_wait(40);
+    down = true;
+    const fallback = await lookup.cached(10000, 'c', 20, 200);
+    assert_log(group, candidate + '.cached() - Stale TTL Fallback Test', () => fallback === current);
+
+    // Assert that the value is rejected once its stale_ttl has closed
+    await async_wait(220);
+    const closed = await lookup.cached(10000, 'c', 20, 200).catch((error) => error.message);
+    assert_log(group, candidate + '.cached() - Stale TTL Closed Test', () => closed === 'Upstream is down');
+    down = false;
+
+    // Assert that snapshots keep the metadata of each value
+    await lookup.fresh('d', 1000);
+    const restored = new CachedLookup(() => {});
+    restored.load(lookup.dump());
+    const loaded = restored.cache.get(JSON.stringify(['d', 1000]));
+    assert_log(
+        group,
+        candidate + '.load() - Metadata Snapshot Test',
+        () => loaded.ttl === 1000 && loaded.tags[0] === 'ids' && restored.get('d', 1000) === lookup.get('d', 1000)
+    );
+
+    // Assert that invalid metadata is rejected
+    let invalid = 0;
+    for (const result of [{ ttl: -1 }, { stale_ttl: 'soon' }, { tags: 'ids' }, { tags: [1] }]) {
+        try {
+            CachedLookup.result(result);
+        } catch (error) {
+            invalid++;
+        }
+    }
+    assert_log(group, candidate + '.result() - Invalid Metadata Test', () => invalid === 4);
+
+    log(group, 'Finished Testing Per-Value Lifetimes');
+    console.log('\n');
+}
+
+module.exports = {
+    test_results,
+};
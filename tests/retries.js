@@ -0,0 +1,54 @@
+const CachedLookup = require('../index.js');
+const { log, assert_log, with_duration } = require('./operators.js');
+
+async function test_retries() {
+    const group = 'RETRIES';
+    const candidate = 'CachedLookup';
+    log(group, 'Testing Lookup Retries & Timeouts');
+
+    // Assert that failed lookups are retried until they succeed
+    let attempts = 0;
+    const flaky = new CachedLookup({ retries: 3, retry_delay: 5 }, (id) => {
+        if (++attempts < 3) throw new Error('Attempt ' + attempts);
+        return id + '-' + attempts;
+    });
+    const retried = [];
+    flaky.on('retry', (error, attempt, id) => retried.push([error.message, attempt, id]));
+    const value = await flaky.cached(1000, 'a');
+    assert_log(
+        group,
+        candidate + ' - Retry With Backoff Test',
+        () =>
+            value === 'a-3' &&
+            JSON.stringify(retried) ===
+                JSON.stringify([
+                    ['Attempt 1', 1, 'a'],
+                    ['Attempt 2', 2, 'a'],
+                ])
+    );
+
+    // Assert that a hung lookup is timed out and its in-flight promise is freed so the key can recover
+    let hung = true;
+    const hanging = new CachedLookup({ timeout: 30 }, (id) => (hung ? new Promise(() => {}) : id));
+    const [timed_out, duration] = await with_duration(hanging.cached(1000, 'b').catch((error) => error));
+    const freed = !hanging.in_flight('b');
+    hung = false;
+    const recovered = await hanging.cached(1000, 'b');
+    assert_log(
+        group,
+        candidate + ' - Lookup Timeout Test',
+        () => timed_out instanceof Error && duration < 100 && freed && recovered === 'b'
+    );
+
+    // Assert that per-call options override the constructor options
+    attempts = 0;
+    const rejected = await flaky.fresh_with({ retries: 0 }, 'c').catch((error) => error.message);
+    assert_log(group, candidate + '.fresh_with() - Per-Call Options Test', () => rejected === 'Attempt 1');
+
+    log(group, 'Finished Testing Lookup Retries & Timeouts');
+    console.log('\n');
+}
+
+module.exports = {
+    test_retries,
+};
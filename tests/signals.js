@@ -0,0 +1,108 @@
+const CachedLookup = require('../index.js');
+const { log, assert_log, async_wait } = require('./operators.js');
+
+async function test_signals() {
+    const group = 'SIGNALS';
+    const candidate = 'CachedLookup';
+    log(group, 'Testing Abort Signals');
+
+    // Create a lookup which resolves slowly and records whether its signal was aborted
+    const signals = [];
+    const lookup = new CachedLookup({ abortable: true }, async (id, signal) => {
+        signals.push(signal);
+        await async_wait(50);
+        return 'value-' + id;
+    });
+
+    // Assert that one caller can stop waiting without affecting other callers of the same in-flight lookup
+    const controller_1 = new AbortController();
+    const waiting_1 = lookup.cached({ max_age: 1000, signal: controller_1.signal }, 'a');
+    const waiting_2 = lookup.cached(1000, 'a');
+    controller_1.abort();
+    const [result_1, result_2] = await Promise.allSettled([waiting_1, waiting_2]);
+    assert_log(
+        group,
+        candidate + '.cached() - Caller Abort Test',
+        () =>
+            result_1.status === 'rejected' &&
+            result_2.value === 'value-a' &&
+            signals.length === 1 &&
+            !signals[0].aborted
+    );
+
+    // Assert that the lookup signal is aborted once every waiting caller has given up
+    const controller_2 = new AbortController();
+    const controller_3 = new AbortController();
+    const waiting_3 = lookup.rolling({ max_age: 1000, signal: controller_2.signal }, 'b').catch(() => 'gave up');
+    const waiting_4 = lookup.fresh_with({ signal: controller_3.signal }, 'b').catch(() => 'gave up');
+    controller_2.abort();
+    const partially_aborted = signals[1].aborted;
+    controller_3.abort();
+    const results = await Promise.all([waiting_3, waiting_4]);
+    assert_log(
+        group,
+        candidate + ' - Lookup Abort Test',
+        () =>
+            !partially_aborted &&
+            signals[1].aborted &&
+            results.every((result) => result === 'gave up') &&
+            !lookup.in_flight('b')
+    );
+
+    // Assert that expiring an in-flight lookup aborts it and does not cache its value
+    const waiting_5 = lookup.cached(1000, 'c').catch((error) => error);
+    lookup.expire('c');
+    const expired = await waiting_5;
+    await async_wait(60);
+    assert_log(
+        group,
+        candidate + '.expire() - In-Flight Abort Test',
+        () => expired instanceof Error && signals[2].aborted && lookup.get('c') === undefined
+    );
+
+    // Assert that expiring or clearing an in-flight lookup which is not abortable resolves its callers without caching its value
+    let calls = 0;
+    const plain = new CachedLookup(async (id) => {
+        await async_wait(20);
+        return `${id}-${++calls}`;
+    });
+    const waiting_6 = plain.cached(1000, 'a');
+    plain.expire('a');
+    const waiting_7 = plain.cached(1000, 'b');
+    plain.clear();
+    const resolved = await Promise.all([waiting_6, waiting_7]);
+    assert_log(
+        group,
+        candidate + '.expire() - In-Flight Resolve Test',
+        () =>
+            resolved.join(',') === 'a-1,b-2' &&
+            !plain.in_flight('a') &&
+            plain.get('a') === undefined &&
+            plain.get('b') === undefined
+    );
+
+    // Assert that lookups which cannot be aborted work without an AbortController as on runtimes which lack one
+    const native_abort_controller = global.AbortController;
+    global.AbortController = undefined;
+    let unabortable;
+    try {
+        const bare = new CachedLookup({ max_concurrent: 1, batch: { window_ms: 1 } }, async (args_list) =>
+            args_list.map(([id]) => `${id}-bare`),
+        );
+        unabortable = await Promise.all([bare.cached(1000, 'a'), bare.fresh('b'), bare.rolling(1000, 'c')]);
+    } finally {
+        global.AbortController = native_abort_controller;
+    }
+    assert_log(
+        group,
+        candidate + ' - Unabortable Lookup Test',
+        () => unabortable.join(',') === 'a-bare,b-bare,c-bare'
+    );
+
+    log(group, 'Finished Testing Abort Signals');
+    console.log('\n');
+}
+
+module.exports = {
+    test_signals,
+};
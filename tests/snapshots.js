@@ -0,0 +1,80 @@
+const CachedLookup = require('../index.js');
+const { log, assert_log } = require('./operators.js');
+
+async function test_snapshots() {
+    const group = 'SNAPSHOTS';
+    const candidate = 'CachedLookup';
+    log(group, 'Testing Cache Snapshots');
+
+    // Populate a lookup with a rich value, a stale value and a value without a max_age
+    const source = new CachedLookup({ serializer: CachedLookup.serializer }, (id) => ({
+        id,
+        at: new Date(0),
+        tags: new Set(['a']),
+        counts: new Map([['x', 1n]]),
+        raw: Buffer.from('raw'),
+    }));
+    await source.cached(1000 * 60, 'fresh');
+    await source.fresh('forever');
+    await source.cached(1000 * 60, 'stale');
+    source.cache.get(source._serialize_arguments(['stale'])).updated_at -= 1000 * 60 * 2;
+
+    // Assert that the snapshot survives a JSON round trip and only restores the values which have not aged past their purge age
+    const snapshot = JSON.parse(JSON.stringify(source.dump()));
+    const target = new CachedLookup({ serializer: CachedLookup.serializer }, () => undefined);
+    const restored = target.load(snapshot);
+    const value = target.get('fresh');
+    assert_log(
+        group,
+        candidate + '.dump() & .load() - Snapshot Restore Test',
+        () =>
+            snapshot.version === 1 &&
+            snapshot.entries.length === 3 &&
+            restored === 2 &&
+            target.get('stale') === undefined &&
+            target.get('forever') !== undefined &&
+            target.updated_at('fresh') === source.updated_at('fresh')
+    );
+
+    // Assert that the custom serializer restored the non-JSON values
+    assert_log(
+        group,
+        candidate + '.load() - Value Serializer Test',
+        () =>
+            value.at instanceof Date &&
+            value.tags.has('a') &&
+            value.counts.get('x') === 1n &&
+            value.raw.toString() === 'raw'
+    );
+
+    // Assert that the restored values are served from the cache without calling the lookup
+    const cached = await target.cached(1000 * 60, 'fresh');
+    assert_log(group, candidate + '.load() - Warm Start Test', () => cached.id === 'fresh');
+
+    // Assert that arguments which JSON cannot represent survive a JSON round trip and key the restored values
+    const keyed = new CachedLookup((id, at, missing) => `${id}-${at.getTime()}-${missing}`);
+    await keyed.cached(1000 * 60, 10n, new Date(5), undefined);
+    const keyed_snapshot = JSON.parse(JSON.stringify(keyed.dump()));
+    const [args] = keyed_snapshot.entries.map((entry) => CachedLookup.serializer.deserialize(entry.args));
+    delete keyed_snapshot.entries[0].identifier;
+    const keyed_target = new CachedLookup(() => undefined);
+    keyed_target.load(keyed_snapshot);
+    assert_log(
+        group,
+        candidate + '.dump() & .load() - Argument Encoding Test',
+        () =>
+            args[0] === 10n &&
+            args[1] instanceof Date &&
+            args[1].getTime() === 5 &&
+            args.length === 3 &&
+            args[2] === undefined &&
+            keyed_target.get(10n, new Date(5), undefined) === '10-5-undefined'
+    );
+
+    log(group, 'Finished Testing Cache Snapshots');
+    console.log('\n');
+}
+
+module.exports = {
+    test_snapshots,
+};
@@ -0,0 +1,68 @@
+const CachedLookup = require('../index.js');
+const { log, assert_log, async_wait } = require('./operators.js');
+
+async function test_stale() {
+    const group = 'STALE';
+    const candidate = 'CachedLookup';
+    log(group, 'Testing Stale If Error Fallbacks');
+
+    // Create a lookup which fails once it is marked as down
+    let down = false;
+    let version = 0;
+    const lookup = new CachedLookup({ purge_age_factor: 1 }, (id) => {
+        if (down) throw new Error('Upstream is down');
+        return `${id}-${++version}`;
+    });
+    const degraded = [];
+    lookup.on('stale', (value, error, id) => degraded.push([value, error.message, id]));
+
+    // Assert that the expired value is served within the per-call stale_if_error window
+    const value = await lookup.cached({ max_age: 20, stale_if_error: 200 }, 'a');
+    down = true;
+    await async_wait(40);
+    const fallback = await lookup.cached({ max_age: 20, stale_if_error: 200 }, 'a');
+    assert_log(
+        group,
+        candidate + '.cached() - Stale If Error Fallback Test',
+        () =>
+            fallback === value &&
+            JSON.stringify(degraded) === JSON.stringify([[value, 'Upstream is down', 'a']])
+    );
+
+    // Assert that the value was retained by the purge timer while the window is open
+    assert_log(group, candidate + ' - Stale If Error Retention Test', () => lookup.get('a') === value);
+
+    // Assert that the lookup error is rejected without a stale_if_error window
+    const rejected = await lookup.cached(20, 'a').catch((error) => error.message);
+    assert_log(group, candidate + '.cached() - Stale If Error Disabled Test', () => rejected === 'Upstream is down');
+
+    // Assert that the error is rejected once the window has closed
+    await async_wait(220);
+    const closed = await lookup.cached({ max_age: 20, stale_if_error: 200 }, 'a').catch((error) => error.message);
+    assert_log(
+        group,
+        candidate + '.cached() - Stale If Error Window Closed Test',
+        () => closed === 'Upstream is down' && lookup.get('a') === undefined
+    );
+
+    // Assert that a value written by fresh() keeps the stale_if_error window so it is retained and served once expired
+    let offline = false;
+    const windowed = new CachedLookup({ purge_age_factor: 1, stale_if_error: 200 }, (id) => {
+        if (offline) throw new Error('Upstream is offline');
+        return `${id}-fresh`;
+    });
+    await windowed.fresh('b');
+    await windowed.cached(20, 'b');
+    offline = true;
+    await async_wait(60);
+    const retained = await windowed.cached(20, 'b').catch((error) => error.message);
+    assert_log(group, candidate + '.fresh() - Stale If Error Window Test', () => retained === 'b-fresh');
+    windowed.clear();
+
+    log(group, 'Finished Testing Stale If Error Fallbacks');
+    console.log('\n');
+}
+
+module.exports = {
+    test_stale,
+};
@@ -0,0 +1,122 @@
+const CachedLookup = require('../index.js');
+const { log, assert_log } = require('./operators.js');
+
+async function test_stats() {
+    const group = 'STATS';
+    const candidate = 'CachedLookup';
+    log(group, 'Testing Statistics');
+
+    // Create a lookup on a manual clock which tracks statistics by tenant and fails for unknown ids
+    const clock = new CachedLookup.ManualClock();
+    const wait = (ms) => new Promise((resolve) => clock.setTimeout(resolve, ms));
+    const lookup = new CachedLookup({ clock, stats_prefix: 1, purge_age_factor: 1 }, async (tenant, id) => {
+        await wait(15);
+        if (id === 'unknown') throw new Error('Unknown id');
+        return `${tenant}-${id}`;
+    });
+
+    // Generate a miss with a join, a hit, a stale serve, a failure and a purge
+    const joined = Promise.all([lookup.cached(100, 'a', 1), lookup.cached(100, 'a', 1)]);
+    await clock.advance(15);
+    await joined;
+    await lookup.cached(100, 'a', 1);
+    const failed = lookup.cached(100, 'b', 'unknown').catch(() => {});
+    await clock.advance(15);
+    await failed;
+    await clock.advance(25);
+    await lookup.rolling(20, 'a', 1);
+    await clock.advance(60);
+
+    // Assert that the counters and the latency histogram of the instance are tracked
+    const stats = lookup.stats();
+    assert_log(
+        group,
+        candidate + '.stats() - Counters Test',
+        () =>
+            stats.hits === 1 &&
+            stats.misses === 3 &&
+            stats.joins === 1 &&
+            stats.stale === 1 &&
+            stats.lookups === 3 &&
+            stats.failures === 1 &&
+            stats.purges >= 1 &&
+            stats.latency.count === 3 &&
+            stats.latency.sum === 45 &&
+            stats.latency.buckets.find(({ le }) => le === 10).count === 0 &&
+            stats.latency.buckets.find(({ le }) => le === 25).count === 3
+    );
+
+    // Assert that each call to the lookup function is tracked without the time spent queued or between retries
+    const limited = new CachedLookup({ clock, max_concurrent: 1, retries: 2, retry_delay: 10 }, async (id) => {
+        await wait(50);
+        if (id === 'bad') throw new Error('Bad id');
+        return id;
+    });
+    const queued = Promise.all([limited.fresh('a'), limited.fresh('b')]);
+    await clock.advance(100);
+    await queued;
+    const retried = limited.fresh('bad').catch(() => {});
+    await clock.advance(50 + 10 + 50 + 20 + 50);
+    await retried;
+    const attempts = limited.stats();
+    assert_log(
+        group,
+        candidate + '.stats() - Lookup Attempts Test',
+        () =>
+            attempts.lookups === 5 &&
+            attempts.failures === 3 &&
+            attempts.latency.count === 5 &&
+            attempts.latency.sum === 250
+    );
+
+    // Assert that the statistics of each key prefix are tracked
+    assert_log(
+        group,
+        candidate + '.stats() - Key Prefix Test',
+        () =>
+            stats.prefixes['["a"]'].misses === 2 &&
+            stats.prefixes['["a"]'].lookups === 2 &&
+            stats.prefixes['["b"]'].failures === 1 &&
+            stats.prefixes['["b"]'].hits === 0
+    );
+
+    // Assert that object arguments are tracked under separate prefixes instead of collapsing into one
+    const tenants = new CachedLookup({ stats_prefix: 1 }, async (tenant, id) => `${tenant.id}-${id}`);
+    await tenants.cached(100, { id: 1 }, 'a');
+    await tenants.cached(100, { id: 2 }, 'a');
+    await tenants.cached(100, { id: 2 }, 'b');
+    const tenant_stats = tenants.stats();
+    assert_log(
+        group,
+        candidate + '.stats() - Object Key Prefix Test',
+        () =>
+            Object.keys(tenant_stats.prefixes).length === 2 &&
+            tenant_stats.prefixes['[{"id":1}]'].misses === 1 &&
+            tenant_stats.prefixes['[{"id":2}]'].misses === 2
+    );
+
+    // Assert that the statistics are rendered in the Prometheus text exposition format
+    const text = CachedLookup.format_prometheus(stats, { name: 'users', labels: { lookup: 'users' } });
+    assert_log(
+        group,
+        candidate + '.format_prometheus() - Exposition Format Test',
+        () =>
+            text.includes('# TYPE users_hits_total counter\n') &&
+            text.includes('users_hits_total{lookup="users"} 1\n') &&
+            text.includes('users_prefix_failures_total{lookup="users",prefix="[\\"b\\"]"} 1\n') &&
+            !text.includes('users_failures_total{lookup="users",prefix=') &&
+            text.includes('# TYPE users_lookup_duration_seconds histogram\n') &&
+            text.includes('users_lookup_duration_seconds_bucket{lookup="users",le="+Inf"} 3\n') &&
+            text.includes('# TYPE users_prefix_lookup_duration_seconds histogram\n') &&
+            text.includes('users_prefix_lookup_duration_seconds_count{lookup="users",prefix="[\\"a\\"]"} 2\n') &&
+            !CachedLookup.format_prometheus(limited.stats()).includes('_prefix_') &&
+            text.endsWith('\n')
+    );
+
+    log(group, 'Finished Testing Statistics');
+    console.log('\n');
+}
+
+module.exports = {
+    test_stats,
+};
@@ -0,0 +1,96 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const CachedLookup = require('../index.js');
+const { log, assert_log, async_wait } = require('./operators.js');
+
+/**
+ * An asynchronous store which wraps a Map to simulate a remote store.
+ */
+class AsyncMapStore {
+    map = new Map();
+
+    async get(identifier) {
+        return this.map.get(identifier);
+    }
+
+    async set(identifier, record) {
+        this.map.set(identifier, record);
+        return this;
+    }
+
+    async delete(identifier) {
+        return this.map.delete(identifier);
+    }
+
+    async *entries() {
+        yield* this.map.entries();
+    }
+
+    async clear() {
+        this.map.clear();
+    }
+}
+
+async function test_stores() {
+    const group = 'STORES';
+    const candidate = 'CachedLookup';
+    log(group, 'Testing Cache Stores');
+
+    // Assert that an asynchronous store is used for cached, rolling, get, expire and purge operations
+    let lookups = 0;
+    const store = new AsyncMapStore();
+    const lookup = new CachedLookup({ store, purge_age_factor: 1 }, (id) => `${id}-${++lookups}`);
+    const value_1 = await lookup.cached(1000, 'a');
+    const value_2 = await lookup.cached(1000, 'a');
+    const value_3 = await lookup.rolling(1000, 'a');
+    assert_log(
+        group,
+        candidate + ' - Async Store Lookup Test',
+        () => value_1 === value_2 && value_2 === value_3 && lookups === 1 && store.map.size === 1
+    );
+
+    const got = await lookup.get('a');
+    const updated_at = await lookup.updated_at('a');
+    const expired_1 = await lookup.expire('a');
+    const expired_2 = await lookup.expire('a');
+    assert_log(
+        group,
+        candidate + ' - Async Store Get & Expire Test',
+        () => got === value_1 && typeof updated_at === 'number' && expired_1 && !expired_2 && store.map.size === 0
+    );
+
+    await lookup.cached(20, 'b');
+    await async_wait(50);
+    assert_log(group, candidate + ' - Async Store Purge Test', () => store.map.size === 0);
+
+    // Assert that the file store shares cached values across instances
+    const directory = path.join(os.tmpdir(), 'cached-lookup-' + crypto.randomUUID());
+    const file_lookup_1 = new CachedLookup({ store: new CachedLookup.FileStore(directory) }, (id) => ({ id, n: 1 }));
+    const file_lookup_2 = new CachedLookup({ store: new CachedLookup.FileStore(directory) }, (id) => ({ id, n: 2 }));
+    await file_lookup_1.cached(1000, 'concerts', 42);
+    const shared = await file_lookup_2.cached(1000, 'concerts', 42);
+    const entries = [];
+    for await (const entry of file_lookup_2.cache.entries()) entries.push(entry);
+    assert_log(
+        group,
+        candidate + ' - File Store Shared Values Test',
+        () =>
+            shared.n === 1 &&
+            entries.length === 1 &&
+            JSON.stringify(file_lookup_2._parse_arguments(entries[0][0])) === JSON.stringify(['concerts', 42])
+    );
+
+    await file_lookup_2.clear();
+    assert_log(group, candidate + ' - File Store Clear Test', () => fs.readdirSync(directory).length === 0);
+    fs.rmSync(directory, { recursive: true, force: true });
+
+    log(group, 'Finished Testing Cache Stores');
+    console.log('\n');
+}
+
+module.exports = {
+    AsyncMapStore,
+    test_stores,
+};
@@ -0,0 +1,71 @@
+const CachedLookup = require('../index.js');
+const { AsyncMapStore } = require('./stores.js');
+const { log, assert_log, async_wait } = require('./operators.js');
+
+async function test_tiers() {
+    const group = 'TIERS';
+    const candidate = 'CachedLookup';
+    log(group, 'Testing Tiered Stores');
+
+    // Create a lookup with a small and short lived memory tier in front of a larger asynchronous tier
+    const l2 = new AsyncMapStore();
+    let lookups = 0;
+    const lookup = new CachedLookup({ tiers: [{ max_entries: 2, ttl: 50 }, l2] }, (id) => `${id}-${++lookups}`);
+
+    // Assert that writes reach every tier while the memory tier keeps its own size limit
+    await lookup.cached(1000, 'a');
+    await lookup.cached(1000, 'b');
+    await lookup.cached(1000, 'c');
+    const [memory, remote] = lookup.cache.tiers;
+    assert_log(
+        group,
+        candidate + ' - Write Through Test',
+        () => memory.size === 2 && !memory.has(JSON.stringify(['a'])) && remote.map.size === 3
+    );
+
+    // Assert that a hit in the slower tier fills the faster tier without a lookup
+    const value = await lookup.cached(1000, 'a');
+    assert_log(
+        group,
+        candidate + ' - Backfill Test',
+        () => value === 'a-1' && lookups === 3 && memory.has(JSON.stringify(['a'])) && memory.size === 2
+    );
+
+    // Assert that the faster tier drops values past its own ttl while the slower tier still serves them
+    await async_wait(60);
+    const aged = await lookup.cached(1000, 'a');
+    assert_log(
+        group,
+        candidate + ' - Tier TTL Test',
+        () => aged === 'a-1' && lookups === 3 && !memory.has(JSON.stringify(['a']))
+    );
+
+    // Assert that expire() and clear() reach every tier
+    await lookup.fresh('d');
+    await lookup.expire('d');
+    const expired = !memory.has(JSON.stringify(['d'])) && !remote.map.has(JSON.stringify(['d']));
+    await lookup.clear();
+    assert_log(
+        group,
+        candidate + ' - Expire & Clear Test',
+        () => expired && memory.size === 0 && remote.map.size === 0
+    );
+
+    // Assert that the tiered store stays synchronous when every tier is synchronous
+    const sync = new CachedLookup({ tiers: [new Map(), new Map()] }, (id) => id);
+    await sync.cached(1000, 'a');
+    sync.cache.tiers[0].clear();
+    const result = sync.get('a');
+    assert_log(
+        group,
+        candidate + ' - Synchronous Tiers Test',
+        () => result === 'a' && sync.cache.tiers[0].size === 1 && Array.from(sync.cache.entries()).length === 1
+    );
+
+    log(group, 'Finished Testing Tiered Stores');
+    console.log('\n');
+}
+
+module.exports = {
+    test_tiers,
+};
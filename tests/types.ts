@@ -0,0 +1,45 @@
+// Type checks for the declarations in types/index.d.ts which are verified with `npx tsc --noEmit --strict --esModuleInterop tests/types.ts`
+import CachedLookup, { CachedLookupRegistry } from '../types/index';
+
+// Assert that batch mode infers the per-arguments lookup signature from the batch lookup function
+const batched = new CachedLookup({ batch: { max_size: 10 } }, async (args_list: [string][]) =>
+    args_list.map(([id]) => (id ? id.length : new Error('Missing id')))
+);
+const batched_value: Promise<number> = batched.cached(10, 'a');
+const batched_values: Promise<number[]> = batched.cached_many(10, [['a'], ['b']]);
+const batched_instance: CachedLookup<(id: string) => number> = batched;
+// @ts-expect-error
+batched.cached(10, 1);
+
+// Assert that the per-arguments lookup signature can still be provided explicitly
+const explicit = new CachedLookup<(id: number) => Promise<string>>({ batch: {} }, async (args_list) =>
+    args_list.map(([id]) => String(id))
+);
+const explicit_value: Promise<string> = explicit.cached(10, 1);
+
+// Assert that the registry class is available under both of its names
+const registry: CachedLookupRegistry = new CachedLookup.CachedLookupRegistry({ max_bytes: 1024 });
+const aliased: CachedLookupRegistry = new CachedLookup.Registry();
+
+// Assert that the methods which read or remove cached values return a Promise with asynchronous stores
+const stored = new CachedLookup({ store: new CachedLookup.FileStore('./cache') }, async (id: string) => id.length);
+const stored_value: Promise<number | undefined> = stored.get('a');
+const stored_expired: Promise<boolean> = stored.expire('a');
+const stored_updated_at: Promise<number | undefined> = stored.updated_at('a');
+// @ts-expect-error
+const synchronous_value: number | undefined = stored.get('a');
+
+// Assert that the same methods return plain values with the default synchronous store
+const synchronous = new CachedLookup(async (id: string) => id.length);
+const synchronous_get: number | undefined = synchronous.get('a');
+const synchronous_expired: boolean = synchronous.expire('a');
+const synchronous_updated_at: number | undefined = synchronous.updated_at('a');
+const synchronous_cleared: void = synchronous.clear();
+const mapped = new CachedLookup({ store: new Map() }, async (id: string) => id.length);
+const mapped_expired: number = mapped.expire_prefix('a');
+
+// Assert that stores which may be either synchronous or asynchronous may return either
+const tiered = new CachedLookup({ store: new CachedLookup.TieredStore([new Map()]) }, async (id: string) => id.length);
+const tiered_value: number | undefined | Promise<number | undefined> = tiered.get('a');
+// @ts-expect-error
+const tiered_synchronous_value: number | undefined = tiered.get('a');
@@ -0,0 +1,78 @@
+const CachedLookup = require('../index.js');
+const { log, assert_log, async_wait } = require('./operators.js');
+
+async function test_wrap() {
+    const group = 'WRAP';
+    const candidate = 'CachedLookup.wrap()';
+    log(group, 'Testing Wrapped Functions');
+
+    // Wrap a function which records the arguments of each call with normalized arguments
+    const calls = [];
+    const get_user = CachedLookup.wrap(
+        async (name, roles) => {
+            calls.push([name, roles]);
+            return `${name}:${roles.join(',')}:${calls.length}`;
+        },
+        {
+            max_age: 1000,
+            normalize: (name, roles = []) => [name.toLowerCase(), [...roles].sort()],
+        }
+    );
+
+    // Assert that equivalent arguments resolve the same cached value with the normalized arguments
+    const first = await get_user('Alice', ['b', 'a']);
+    const second = await get_user('ALICE', ['a', 'b']);
+    assert_log(
+        group,
+        candidate + ' - Normalized Cached Test',
+        () =>
+            first === 'alice:a,b:1' &&
+            second === first &&
+            calls.length === 1 &&
+            calls[0][0] === 'alice' &&
+            get_user.instance instanceof CachedLookup
+    );
+
+    // Assert that expire() and fresh() normalize their arguments the same way
+    const expired = get_user.expire('alice', ['b', 'a']);
+    const fresh = await get_user.fresh('Alice', ['a', 'b']);
+    const cached = await get_user('alice', ['a', 'b']);
+    assert_log(
+        group,
+        candidate + ' - Expire & Fresh Test',
+        () => expired === true && fresh === 'alice:a,b:2' && cached === fresh && calls.length === 2
+    );
+
+    // Assert that the rolling mode serves the expired value while refreshing it in the background
+    let version = 0;
+    const get_version = CachedLookup.wrap(() => ++version, { max_age: 20, mode: 'rolling', auto_purge: false });
+    await get_version();
+    await async_wait(30);
+    const stale = await get_version();
+    await async_wait(5);
+    const refreshed = await get_version();
+    assert_log(group, candidate + ' - Rolling Mode Test', () => stale === 1 && refreshed === 2);
+
+    // Assert that invalid options and normalized arguments are rejected
+    let invalid = 0;
+    for (const options of [undefined, {}, { max_age: 1000, mode: 'fresh' }, { max_age: 1000, normalize: true }]) {
+        try {
+            CachedLookup.wrap(() => 1, options);
+        } catch (error) {
+            invalid++;
+        }
+    }
+    try {
+        CachedLookup.wrap(() => 1, { max_age: 1000, normalize: (id) => id })('a');
+    } catch (error) {
+        invalid++;
+    }
+    assert_log(group, candidate + ' - Validation Test', () => invalid === 5);
+
+    log(group, 'Finished Testing Wrapped Functions');
+    console.log('\n');
+}
+
+module.exports = {
+    test_wrap,
+};
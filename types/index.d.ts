@@ -1,77 +1,476 @@
 import EventEmitter from 'events';
 
-type ArgsType<T> = T extends (...args: infer U) => any ? U : never;
-type ResolvedType<T> = T extends PromiseLike<infer U> ? U : T;
+export type ArgsType<T> = T extends (...args: infer U) => any ? U : never;
+export type ResolvedType<T> = T extends PromiseLike<infer U> ? U : T;
 
-type LookupHandler<T extends (...args: any[]) => any> = T;
+export type LookupHandler<T extends (...args: any[]) => any> = T;
 
-interface CachedLookupEvents<T, U extends ArgsType<T>> {
+export class LookupResult<V = unknown> {
+    constructor(result: LookupResultOptions<V>);
+    value: V;
+    ttl?: number;
+    stale_ttl?: number;
+    tags?: string[];
+}
+
+export interface LookupResultOptions<V> {
+    value: V;
+    ttl?: number;
+    stale_ttl?: number;
+    tags?: string[];
+}
+
+export type BatchLookupHandler<T extends (...args: any[]) => any> = (
+    args_list: ArgsType<T>[],
+    signal: AbortSignal
+) => MaybePromise<Array<ResolvedType<ReturnType<T>> | Error>>;
+
+export interface BatchOptions {
+    max_size?: number;
+    window_ms?: number;
+}
+
+export interface EarlyRefreshOptions {
+    beta?: number;
+}
+
+export interface RefreshAheadOptions {
+    at?: number;
+    concurrency?: number;
+    idle_ms?: number;
+}
+
+export interface RateLimitOptions {
+    limit: number;
+    interval: number;
+}
+
+export interface LatencyHistogram {
+    buckets: { le: number; count: number }[];
+    sum: number;
+    count: number;
+}
+
+export interface StatsSnapshot {
+    hits: number;
+    stale: number;
+    misses: number;
+    joins: number;
+    lookups: number;
+    failures: number;
+    purges: number;
+    evictions: number;
+    latency: LatencyHistogram;
+    prefixes?: Record<string, Omit<StatsSnapshot, 'prefixes'>>;
+}
+
+export interface PrometheusOptions {
+    name?: string;
+    labels?: Record<string, string>;
+}
+
+export type CacheStatus = 'hit' | 'stale' | 'shared' | 'miss' | 'negative';
+
+export interface CacheResult<T> {
+    value: T;
+    status: CacheStatus;
+    age: number;
+    updated_at: number;
+    max_age?: number;
+}
+
+export type UnwrapResult<V> = V extends LookupResult<infer U> ? U : V;
+export type LookupValue<T extends (...args: any[]) => any> = UnwrapResult<ResolvedType<ReturnType<T>>>;
+
+export interface WrapOptions<F extends (...args: any[]) => any> extends ConstructorOptions {
+    max_age: number;
+    mode?: 'cached' | 'rolling';
+    normalize?: (...args: Parameters<F>) => unknown[];
+}
+
+export type WrappedFunction<F extends (...args: any[]) => any> = ((...args: Parameters<F>) => Promise<LookupValue<F>>) & {
+    expire(...args: Parameters<F>): boolean | Promise<boolean>;
+    fresh(...args: Parameters<F>): Promise<LookupValue<F>>;
+    instance: CachedLookup<F>;
+};
+
+export type EvictionPolicy = 'lru' | 'lfu' | 'oldest';
+export type EvictionReason = 'max_entries' | 'max_bytes';
+
+export interface CachedLookupEvents<T, U extends ArgsType<T>> {
     purge: [T, ...U];
     fresh: [T, ...U];
+    evict: [T, EvictionReason, ...U];
+    error: [Error, ...U];
+    stale: [T, Error, ...U];
+    retry: [Error, number, ...U];
+    expire: [T, ...U];
+    queue: [number, ...U];
+    dequeue: [number, number, ...U];
+}
+
+export interface LookupCallOptions {
+    timeout?: number;
+    retries?: number;
+    retry_delay?: number;
+    retry_max_delay?: number;
+    retry_jitter?: boolean;
+    signal?: AbortSignal;
+}
+
+export interface CallOptions extends LookupCallOptions {
+    max_age: number;
+    stale_if_error?: number;
+}
+
+export type MaybePromise<T> = T | Promise<T>;
+
+export interface CacheStore<T = unknown> {
+    get(identifier: string): MaybePromise<ValueRecord<T> | undefined>;
+    set(identifier: string, record: ValueRecord<T>): unknown;
+    delete(identifier: string): MaybePromise<boolean>;
+    entries(): Iterable<[string, ValueRecord<T>]> | AsyncIterable<[string, ValueRecord<T>]>;
+    clear(): MaybePromise<void>;
+}
+
+/**
+ * The type of the `store` of an instance which decides whether its store methods return a Promise.
+ */
+export type StoreType = CacheStore<any> | Map<string, any>;
+
+/**
+ * Resolves the return type of a store method to the plain result for synchronous stores, a Promise for asynchronous stores and either for stores which may be both.
+ */
+export type StoreResult<S, R> = S extends Map<string, any>
+    ? R
+    : S extends { get(identifier: string): infer G }
+    ? [Extract<G, PromiseLike<any>>] extends [never]
+        ? R
+        : [Exclude<G, PromiseLike<any>>] extends [never]
+        ? Promise<R>
+        : MaybePromise<R>
+    : MaybePromise<R>;
+
+export interface ValueSerializer<T = any> {
+    serialize(value: T): unknown;
+    deserialize(data: any): T;
+}
+
+export interface SnapshotEntry {
+    identifier: string;
+    /**
+     * The arguments of the cached value encoded with `CachedLookup.serializer`.
+     */
+    args: unknown[];
+    value: unknown;
+    max_age?: number;
+    updated_at: number;
+    stale_if_error?: number;
+    ttl?: number;
+    stale_ttl?: number;
+    tags?: string[];
+    duration?: number;
+    jitter?: number;
+}
+
+export interface CacheSnapshot {
+    version: number;
+    entries: SnapshotEntry[];
+}
+
+export interface SnapshotOptions {
+    serializer?: ValueSerializer;
+}
+
+export interface FileStoreOptions {
+    serialize?: (entry: { identifier: string; record: ValueRecord }) => string;
+    deserialize?: (contents: string) => { identifier: string; record: ValueRecord };
+}
+
+export class FileStore<T = unknown> implements CacheStore<T> {
+    constructor(directory: string, options?: FileStoreOptions);
+    get(identifier: string): Promise<ValueRecord<T> | undefined>;
+    set(identifier: string, record: ValueRecord<T>): Promise<this>;
+    delete(identifier: string): Promise<boolean>;
+    entries(): AsyncGenerator<[string, ValueRecord<T>]>;
+    clear(): Promise<void>;
+}
+
+export interface Clock {
+    now(): number;
+    setTimeout(callback: () => unknown, delay: number): any;
+    clearTimeout(timer: any): void;
+}
+
+export class ManualClock implements Clock {
+    constructor(now?: number);
+    get pending(): number;
+    now(): number;
+    setTimeout(callback: () => unknown, delay?: number): number;
+    clearTimeout(timer: number): void;
+
+    /**
+     * Advances the clock by the provided number of milliseconds and fires every timer which becomes due in the order of their due time.
+     */
+    advance(ms: number): Promise<void>;
+}
+
+export interface StoreTier {
+    store?: CacheStore<any> | Map<string, any>;
+    max_entries?: number;
+    ttl?: number;
+}
+
+export class TieredStore<T = unknown> implements CacheStore<T> {
+    constructor(tiers: Array<CacheStore<any> | Map<string, any> | StoreTier>, options?: { clock?: Clock });
+    get tiers(): Array<CacheStore<any> | Map<string, any>>;
+    get(identifier: string): MaybePromise<ValueRecord<T> | undefined>;
+    set(identifier: string, record: ValueRecord<T>): MaybePromise<this>;
+    delete(identifier: string): MaybePromise<boolean>;
+    entries(): Generator<[string, ValueRecord<T>]> | AsyncGenerator<[string, ValueRecord<T>]>;
+    clear(): MaybePromise<void>;
+}
+
+export interface InvalidationMessage {
+    namespace: string;
+    origin: string;
+    action: 'expire' | 'expire_prefix' | 'expire_tag' | 'clear' | 'fresh';
+    identifier?: string;
+    prefix?: unknown[];
+    tag?: string;
+    record?: ValueRecord;
+}
+
+export interface InvalidationTransport {
+    publish(message: InvalidationMessage): void | Promise<void>;
+    subscribe(handler: (message: InvalidationMessage) => void): () => void;
+}
+
+export class BroadcastChannelTransport implements InvalidationTransport {
+    constructor(name?: string);
+    get channel(): import('worker_threads').BroadcastChannel;
+    publish(message: InvalidationMessage): void;
+    subscribe(handler: (message: InvalidationMessage) => void): () => void;
+    close(): void;
+}
+
+export class ClusterTransport implements InvalidationTransport {
+    constructor(channel?: string);
+
+    /**
+     * Relays the messages of each worker to every other worker. Must be called once in the primary process.
+     * @returns A function which stops relaying messages.
+     */
+    static relay(channel?: string): () => void;
+    publish(message: InvalidationMessage): void;
+    subscribe(handler: (message: InvalidationMessage) => void): () => void;
 }
 
-interface ConstructorOptions {
+export interface BusOptions {
+    transport: InvalidationTransport;
+    namespace: string;
+}
+
+export interface Middleware<V = unknown, A extends any[] = any[]> {
+    before_lookup?: (args: A) => MaybePromise<A | void>;
+    after_lookup?: (value: V, args: A) => MaybePromise<V | void>;
+    before_set?: (value: V, args: A) => MaybePromise<boolean | void>;
+    on_hit?: (value: V, status: 'hit' | 'stale', args: A) => void;
+    on_purge?: (value: V, args: A) => MaybePromise<boolean | void>;
+}
+
+export interface ConstructorOptions {
     auto_purge?: boolean;
     purge_age_factor?: number;
+    max_purge_eloop_tick?: number;
+    key?: (...args: any[]) => string;
+    parse?: (identifier: string) => any[];
+    max_entries?: number;
+    max_bytes?: number;
+    eviction?: EvictionPolicy;
+    size_of?: (value: any) => number;
+    store?: CacheStore<any>;
+    tiers?: Array<CacheStore<any> | Map<string, any> | StoreTier>;
+    serializer?: ValueSerializer;
+    error_ttl?: number;
+    missing_ttl?: number;
+    missing_value?: unknown;
+    stale_if_error?: number;
+    timeout?: number;
+    retries?: number;
+    retry_delay?: number;
+    retry_max_delay?: number;
+    retry_jitter?: boolean;
+    abortable?: boolean;
+    batch?: BatchOptions;
+    refresh_ahead?: boolean | RefreshAheadOptions;
+    early_refresh?: boolean | EarlyRefreshOptions;
+    ttl_jitter?: number;
+    clone?: 'none' | 'structured' | 'freeze' | ((value: any) => any);
+    max_concurrent?: number;
+    rate_limit?: RateLimitOptions;
+    stats_prefix?: number | ((...args: any[]) => string);
+    bus?: BusOptions;
+    clock?: Clock;
+}
+
+export interface FailureRecord {
+    error: Error;
+    missing: boolean;
+    ttl: number;
+    updated_at: number;
 }
 
-interface ValueRecord<T = unknown> {
+export interface ValueRecord<T = unknown> {
     value: T;
     max_age?: number;
     updated_at: number;
+    stale_if_error?: number;
+    ttl?: number;
+    stale_ttl?: number;
+    tags?: string[];
+    duration?: number;
+    jitter?: number;
 }
 
-export default class CachedLookup<T extends (...args: any[]) => any> extends EventEmitter {
+declare class CachedLookup<
+    T extends (...args: any[]) => any,
+    S extends StoreType = Map<string, ValueRecord<LookupValue<T>>>
+> extends EventEmitter {
+    static FileStore: typeof FileStore;
+    static TieredStore: typeof TieredStore;
+    static BroadcastChannelTransport: typeof BroadcastChannelTransport;
+    static ClusterTransport: typeof ClusterTransport;
+    static ManualClock: typeof ManualClock;
+    static CachedLookupRegistry: typeof CachedLookupRegistry;
+    static Registry: typeof CachedLookupRegistry;
+    static LookupResult: typeof LookupResult;
+
+    /**
+     * Formats the statistics returned by `stats()` in the Prometheus text exposition format.
+     */
+    static format_prometheus(stats: StatsSnapshot, options?: PrometheusOptions): string;
+    static serializer: ValueSerializer;
+
+    /**
+     * Wraps a value returned by a lookup function with metadata such as its `ttl`, `stale_ttl` and `tags` which control how it is cached.
+     */
+    static result<V>(result: LookupResultOptions<V>): LookupResult<V>;
+
+    /**
+     * Wraps the provided function with a new CachedLookup instance and returns a drop-in function with the same signature which resolves cached values.
+     */
+    static wrap<F extends (...args: any[]) => any>(fn: F, options: WrapOptions<F>): WrappedFunction<F>;
+
     lookup: LookupHandler<T>;
-    cache: Map<string, ValueRecord<ResolvedType<ReturnType<T>>>>;
-    promises: Map<string, Promise<ResolvedType<ReturnType<T>>>>;
+    cache: Map<string, ValueRecord<LookupValue<T>>> | CacheStore<LookupValue<T>>;
+    promises: Map<string, Promise<LookupValue<T>>>;
+    failures: Map<string, FailureRecord>;
 
     constructor(lookup: LookupHandler<T>);
-    constructor(options: ConstructorOptions, lookup: LookupHandler<T>);
+    constructor(options: ConstructorOptions & { batch: BatchOptions; store?: S }, lookup: BatchLookupHandler<T>);
+    constructor(options: ConstructorOptions & { store?: S }, lookup: LookupHandler<T>);
 
     // Override the default `EventEmitter` methods to provide type safety
-    on<K extends keyof CachedLookupEvents<ResolvedType<ReturnType<T>>, ArgsType<T>>>(
+    on<K extends keyof CachedLookupEvents<LookupValue<T>, ArgsType<T>>>(
         event: K,
-        listener: (...args: CachedLookupEvents<ResolvedType<ReturnType<T>>, ArgsType<T>>[K]) => void
+        listener: (...args: CachedLookupEvents<LookupValue<T>, ArgsType<T>>[K]) => void
     ): this;
-    once<K extends keyof CachedLookupEvents<ResolvedType<ReturnType<T>>, ArgsType<T>>>(
+    once<K extends keyof CachedLookupEvents<LookupValue<T>, ArgsType<T>>>(
         event: K,
-        listener: (...args: CachedLookupEvents<ResolvedType<ReturnType<T>>, ArgsType<T>>[K]) => void
+        listener: (...args: CachedLookupEvents<LookupValue<T>, ArgsType<T>>[K]) => void
     ): this;
-    emit<K extends keyof CachedLookupEvents<ResolvedType<ReturnType<T>>, ArgsType<T>>>(
+    emit<K extends keyof CachedLookupEvents<LookupValue<T>, ArgsType<T>>>(
         event: K,
-        ...args: CachedLookupEvents<ResolvedType<ReturnType<T>>, ArgsType<T>>[K]
+        ...args: CachedLookupEvents<LookupValue<T>, ArgsType<T>>[K]
     ): boolean;
 
+    /**
+     * Adds the provided middleware whose hooks run around the lookups, writes, hits and purges of this instance.
+     * Hooks run in the order their middlewares were added.
+     */
+    use(middleware: Middleware<LookupValue<T>, ArgsType<T>>): this;
+
     /**
      * Returns a `cached` value that is up to `max_age` milliseconds old from now.
      * Otherwise, It will fetch a fresh value and update the cache in the background.
      * Use this method over `rolling` if you want to guarantee that the cached value is at most `max_age` milliseconds old at the cost of increased latency whenever a `fresh` value is fetched on a cache miss.
      */
-    cached(max_age: number, ...args: ArgsType<T>): Promise<ResolvedType<ReturnType<T>>>;
+    cached(max_age: number | CallOptions, ...args: ArgsType<T>): Promise<LookupValue<T>>;
 
     /**
      * Returns the most up to date `cached` value even if stale if one is available and automatically fetches a fresh value to ensure the cache is as up to date as possible to the `max_age` provided in milliseconds.
      * Use this method over `cached` if you want lower latency at the cost of a temporarily stale cached value while a `fresh` value is being fetched in the background.
      */
-    rolling(max_age: number, ...args: ArgsType<T>): Promise<ResolvedType<ReturnType<T>>>;
+    rolling(max_age: number | CallOptions, ...args: ArgsType<T>): Promise<LookupValue<T>>;
+
+    /**
+     * Same as `cached()` but resolves the value with its cache metadata such as its status and age.
+     */
+    cached_with_meta(max_age: number | CallOptions, ...args: ArgsType<T>): Promise<CacheResult<LookupValue<T>>>;
+
+    /**
+     * Same as `rolling()` but resolves the value with its cache metadata such as its status and age.
+     */
+    rolling_with_meta(max_age: number | CallOptions, ...args: ArgsType<T>): Promise<CacheResult<LookupValue<T>>>;
+
+    /**
+     * Returns the `cached` values for each of the provided sets of arguments in the same order.
+     * The cache misses are resolved together with a single call to the batch lookup function when batch mode is enabled.
+     */
+    cached_many(max_age: number | CallOptions, args_list: ArgsType<T>[]): Promise<LookupValue<T>[]>;
+
+    /**
+     * Returns the `rolling` values for each of the provided sets of arguments in the same order.
+     * The cache misses are resolved together with a single call to the batch lookup function when batch mode is enabled.
+     */
+    rolling_many(max_age: number | CallOptions, args_list: ArgsType<T>[]): Promise<LookupValue<T>[]>;
 
     /**
      * Fetches and returns a fresh value for the provided set of arguments.
      * Note! This method will automatically cache the fresh value for future use for the provided set of arguments.
      */
-    fresh(...args: ArgsType<T>): Promise<ResolvedType<ReturnType<T>>>;
+    fresh(...args: ArgsType<T>): Promise<LookupValue<T>>;
+
+    /**
+     * Fetches and returns a fresh value for the provided set of arguments with the provided per-call options.
+     * Note! The per-call options of the first caller apply to a fresh value which is already in-flight.
+     */
+    fresh_with(options: LookupCallOptions, ...args: ArgsType<T>): Promise<LookupValue<T>>;
 
     /**
      * Returns the cached value for the provided set of arguments if it exists.
+     * Note! Returns a Promise if the store is asynchronous.
      */
-    get(...args: ArgsType<T>): ResolvedType<ReturnType<T>> | undefined;
+    get(...args: ArgsType<T>): StoreResult<S, LookupValue<T> | undefined>;
 
     /**
      * Expires the cached value for the provided set of arguments.
+     * Note! Returns a Promise if the store is asynchronous.
      * @returns {boolean} Returns `true` if the cache value was expired, `false` otherwise.
      */
-    expire(...args: ArgsType<T>): boolean;
+    expire(...args: ArgsType<T>): StoreResult<S, boolean>;
+
+    /**
+     * Expires all cached values for which the provided predicate returns `true` when called with the cached value and its arguments.
+     * Note! Returns a Promise if the store is asynchronous.
+     * @returns The number of expired cached values.
+     */
+    expire_where(predicate: (value: LookupValue<T>, ...args: ArgsType<T>) => boolean): StoreResult<S, number>;
+
+    /**
+     * Expires all cached values whose arguments start with the provided set of arguments.
+     * Note! Returns a Promise if the store is asynchronous.
+     * @returns The number of expired cached values.
+     */
+    expire_prefix(...prefix: Partial<ArgsType<T>>): StoreResult<S, number>;
+
+    /**
+     * Expires all cached values which were tagged with the provided tag by the lookup function through `CachedLookup.result()`.
+     * Note! Returns a Promise if the store is asynchronous.
+     * @returns The number of expired cached values.
+     */
+    expire_tag(tag: string): StoreResult<S, number>;
 
     /**
      * Returns whether a fresh value is currently pending / being resolved for the provided set of arguments.
@@ -81,11 +480,96 @@ export default class CachedLookup<T extends (...args: any[]) => any> extends Eve
 
     /**
      * Returns the timestamp in `milliseconds` since the UNIX epoch when the cached value for the provided set of arguments was last updated if it exists.
+     * Note! Returns a Promise if the store is asynchronous.
      */
-    updated_at(...args: ArgsType<T>): number | undefined;
+    updated_at(...args: ArgsType<T>): StoreResult<S, number | undefined>;
+
+    /**
+     * Returns the counters and the lookup latency histogram of this instance and of each key prefix when `stats_prefix` is enabled.
+     */
+    stats(): StatsSnapshot;
+
+    /**
+     * Returns a serializable snapshot of all cached values which can be restored with `load()` for warm starts.
+     * Note! Returns a Promise if the store is asynchronous.
+     */
+    dump(options?: SnapshotOptions): StoreResult<S, CacheSnapshot>;
+
+    /**
+     * Restores the cached values from a snapshot created with `dump()` while respecting their original ages.
+     * Note! Returns a Promise if the store is asynchronous.
+     * @returns The number of restored cached values.
+     */
+    load(snapshot: CacheSnapshot, options?: SnapshotOptions): StoreResult<S, number>;
 
     /**
      * Clears the lookup instance by removing all cached values from the cache.
+     * Note! The other instances on the bus are also cleared.
+     * Note! Returns a Promise if the store is asynchronous.
+     */
+    clear(): StoreResult<S, void>;
+
+    /**
+     * Stops receiving invalidation messages from the other instances on the bus.
+     */
+    close(): void;
+
+    /**
+     * Shuts down this instance by closing its bus, cancelling its pending maintenance and waiting for its in-flight lookups to settle.
+     */
+    shutdown(): Promise<void>;
+}
+
+/**
+ * Infers the per-arguments lookup signature of a batch mode instance from the arguments and values of its batch lookup function.
+ */
+interface BatchLookupConstructor {
+    new <A extends any[], V, S extends StoreType = Map<string, ValueRecord<UnwrapResult<V>>>>(
+        options: ConstructorOptions & { batch: BatchOptions; store?: S },
+        lookup: (args_list: A[], signal: AbortSignal) => MaybePromise<Array<V | Error>>
+    ): CachedLookup<(...args: A) => V, S>;
+}
+
+declare const CachedLookupExport: BatchLookupConstructor & typeof CachedLookup;
+type CachedLookupExport<
+    T extends (...args: any[]) => any,
+    S extends StoreType = Map<string, ValueRecord<LookupValue<T>>>
+> = CachedLookup<T, S>;
+export default CachedLookupExport;
+
+export interface RegistryOptions {
+    max_bytes?: number;
+}
+
+export interface RegistryStats {
+    total: StatsSnapshot;
+    lookups: Record<string, StatsSnapshot>;
+}
+
+export class CachedLookupRegistry {
+    constructor(options?: RegistryOptions);
+    get size(): number;
+    get names(): string[];
+    get bytes(): number;
+
+    /**
+     * Registers the provided instance with the provided name and returns it.
+     * The instance starts sharing the memory budget of this registry if one was provided.
+     */
+    register<L extends CachedLookup<any>>(name: string, lookup: L): L;
+    unregister(name: string): boolean;
+    get(name: string): CachedLookup<any> | undefined;
+    has(name: string): boolean;
+
+    /**
+     * Expires the cached value for the provided set of arguments in the instance with the provided name.
+     */
+    expire(name: string, ...args: any[]): boolean | Promise<boolean>;
+    clear(): void | Promise<void>;
+    stats(): RegistryStats;
+
+    /**
+     * Shuts down all registered instances by cancelling their pending maintenance and waiting for their in-flight lookups to settle.
      */
-    clear(): void;
+    shutdown(): Promise<void>;
 }